@@ -0,0 +1,259 @@
+// ESP32 Web Flasher - ESP-IDF image format (bootloader and app .bin files)
+// Header and segment table, XOR checksum, appended SHA-256 and the app's esp_app_desc_t, so a part can be
+// checked for the right chip and an intact hash before it goes anywhere near the device.
+// Chip names and CRC-32 come from ESPLoader (esp-loader.js, loaded before this file).
+
+class ESPImage {
+    static get MAGIC() { return 0xE9; }
+    static get HEADER_LENGTH() { return 24; }
+    static get SEGMENT_HEADER_LENGTH() { return 8; }
+    static get APP_DESC_MAGIC() { return 0xABCD5432; }
+
+    // Secure Boot v2: a 4KB sector after the image holding up to 3 RSA-3072 signature blocks of 1216 bytes
+    static get SIGNATURE_SECTOR_LENGTH() { return 4096; }
+    static get SIGNATURE_BLOCK_LENGTH() { return 1216; }
+    static get SIGNATURE_BLOCK_MAGIC() { return 0xE7; }
+    static get SIGNATURE_BLOCK_VERSION() { return 0x02; }
+
+    // Header byte 2 and the two nibbles of byte 3 (esptool's FLASH_MODES / FLASH_SIZES / ESP32-S3 FLASH_FREQUENCY)
+    static get FLASH_MODES() { return ['qio', 'qout', 'dio', 'dout']; }
+    static get FLASH_SIZES() { return ['1MB', '2MB', '4MB', '8MB', '16MB', '32MB', '64MB', '128MB']; }
+    static get FLASH_FREQUENCIES() { return { 0x0: '40m', 0x2: '20m', 0xF: '80m' }; }
+
+    // The page's ESPLoader global, or the module when running under Node
+    static get ESPLoader() {
+        return typeof ESPLoader !== 'undefined' ? ESPLoader : require('./esp-loader.js').ESPLoader;
+    }
+
+    constructor(data) {
+        this.data = data;
+        this.segments = [];      // { loadAddress, offset, length } - offset of the segment data in the file
+        this.appDescriptor = null;
+        this.hashValid = null;   // Set by verifyHash(); stays null when the image carries no SHA-256
+        this.signatureBlocks = [];
+    }
+
+    // Structure only (header, segments, checksum, app descriptor) - throws if the bytes are not an ESP image
+    static parse(data, name = 'image') {
+        if (data.length < ESPImage.HEADER_LENGTH || data[0] !== ESPImage.MAGIC) {
+            throw new Error(`${name} is not an ESP image (magic 0x${(data[0] || 0).toString(16)}, expected 0xe9)`);
+        }
+
+        const image = new ESPImage(data);
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+        image.segmentCount = data[1];
+        image.flashMode = ESPImage.FLASH_MODES[data[2]] || `unknown (${data[2]})`;
+        image.flashSize = ESPImage.FLASH_SIZES[data[3] >> 4] || `unknown (${data[3] >> 4})`;
+        image.flashFreq = ESPImage.FLASH_FREQUENCIES[data[3] & 0x0F] || `unknown (${data[3] & 0x0F})`;
+        image.entryPoint = view.getUint32(4, true);
+
+        // Extended header
+        image.chipId = view.getUint16(12, true);
+        image.minChipRevision = view.getUint16(15, true); // major * 100 + minor
+        image.maxChipRevision = view.getUint16(17, true);
+        image.hashAppended = data[23] === 1;
+
+        let offset = ESPImage.HEADER_LENGTH;
+        let checksum = 0xEF;
+        for (let i = 0; i < image.segmentCount; i++) {
+            if (offset + ESPImage.SEGMENT_HEADER_LENGTH > data.length) {
+                throw new Error(`${name} is truncated in the header of segment ${i}`);
+            }
+            const loadAddress = view.getUint32(offset, true);
+            const length = view.getUint32(offset + 4, true);
+            offset += ESPImage.SEGMENT_HEADER_LENGTH;
+            if (offset + length > data.length) {
+                throw new Error(`${name} is truncated in segment ${i} (${length} bytes at 0x${offset.toString(16)})`);
+            }
+
+            image.segments.push({ loadAddress, offset, length });
+            for (let j = offset; j < offset + length; j++) {
+                checksum ^= data[j];
+            }
+            offset += length;
+        }
+
+        // The checksum byte is the last byte of the next 16-byte boundary, the SHA-256 (if any) follows it
+        const checksumOffset = offset + (15 - (offset % 16));
+        if (checksumOffset >= data.length) {
+            throw new Error(`${name} is truncated before its checksum`);
+        }
+        image.checksum = data[checksumOffset];
+        image.checksumValid = image.checksum === checksum;
+        image.length = checksumOffset + 1;
+        if (image.hashAppended) {
+            if (image.length + 32 > data.length) {
+                throw new Error(`${name} is truncated before its SHA-256`);
+            }
+            image.sha256 = ESPImage.toHex(data.slice(image.length, image.length + 32));
+            image.length += 32;
+        }
+
+        image.appDescriptor = image.parseAppDescriptor();
+        image.signatureBlocks = image.parseSignatureBlocks();
+        return image;
+    }
+
+    // esp_app_desc_t sits at the start of the first segment of an application image
+    parseAppDescriptor() {
+        const segment = this.segments[0];
+        if (!segment || segment.length < 256) {
+            return null;
+        }
+
+        const view = new DataView(this.data.buffer, this.data.byteOffset + segment.offset, 256);
+        if (view.getUint32(0, true) !== ESPImage.APP_DESC_MAGIC) {
+            return null;
+        }
+
+        const text = (start, length) => {
+            const bytes = this.data.slice(segment.offset + start, segment.offset + start + length);
+            const end = bytes.indexOf(0);
+            return new TextDecoder().decode(end === -1 ? bytes : bytes.slice(0, end));
+        };
+
+        return {
+            secureVersion: view.getUint32(4, true),
+            version: text(16, 32),
+            projectName: text(48, 32),
+            time: text(80, 16),
+            date: text(96, 16),
+            idfVersion: text(112, 32),
+            elfSha256: ESPImage.toHex(this.data.slice(segment.offset + 144, segment.offset + 176)),
+            minEfuseBlockRevision: view.getUint16(176, true),
+            maxEfuseBlockRevision: view.getUint16(178, true),
+            mmuPageSize: view.getUint8(180) ? 2 ** view.getUint8(180) : null
+        };
+    }
+
+    // Signature sector: first 4KB boundary after the image; blocks end at the first one without the magic
+    parseSignatureBlocks() {
+        const sectorOffset = Math.ceil(this.length / ESPImage.SIGNATURE_SECTOR_LENGTH) * ESPImage.SIGNATURE_SECTOR_LENGTH;
+        const blocks = [];
+        for (let i = 0; i < 3; i++) {
+            const offset = sectorOffset + i * ESPImage.SIGNATURE_BLOCK_LENGTH;
+            if (offset + ESPImage.SIGNATURE_BLOCK_LENGTH > this.data.length ||
+                this.data[offset] !== ESPImage.SIGNATURE_BLOCK_MAGIC || this.data[offset + 1] !== ESPImage.SIGNATURE_BLOCK_VERSION) {
+                break;
+            }
+
+            // magic, version, 2 pad, image_digest[32], n[384], e, rinv[384], mdash, signature[384], crc32, 16 pad
+            const block = this.data.slice(offset, offset + ESPImage.SIGNATURE_BLOCK_LENGTH);
+            const view = new DataView(block.buffer);
+            blocks.push({
+                sectorOffset: sectorOffset,
+                imageDigest: ESPImage.toHex(block.slice(4, 36)),
+                publicKey: block.slice(36, 812),
+                modulus: block.slice(36, 420),         // Little-endian, like the signature
+                exponent: view.getUint32(420, true),
+                signature: block.slice(812, 1196),
+                crcValid: view.getUint32(1196, true) === ESPImage.ESPLoader.crc32(block.slice(0, 1196)),
+                imageDigestValid: null,                // Set by verifySignatures()
+                keyDigest: null,
+                signatureValid: null
+            });
+        }
+        return blocks;
+    }
+
+    // Per block: SHA-256 of the signed image, SHA-256 of the public key (what the eFuse stores) and the RSA-PSS signature
+    async verifySignatures() {
+        if (this.signatureBlocks.length === 0) {
+            return [];
+        }
+
+        const signed = this.data.slice(0, this.signatureBlocks[0].sectorOffset);
+        const imageDigest = ESPImage.toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', signed)));
+        const bigEndian = bytes => Uint8Array.from(bytes).reverse();
+        const base64Url = bytes => btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+        for (const block of this.signatureBlocks) {
+            block.imageDigestValid = block.imageDigest === imageDigest;
+            block.keyDigest = ESPImage.toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', block.publicKey)));
+
+            try {
+                const exponent = bigEndian(new Uint8Array(new Uint32Array([block.exponent]).buffer));
+                const key = await crypto.subtle.importKey('jwk', {
+                    kty: 'RSA',
+                    n: base64Url(bigEndian(block.modulus)),
+                    e: base64Url(exponent.slice(exponent.findIndex(b => b !== 0))),
+                    ext: true
+                }, { name: 'RSA-PSS', hash: 'SHA-256' }, false, ['verify']);
+                block.signatureValid = await crypto.subtle.verify({ name: 'RSA-PSS', saltLength: 32 }, key, bigEndian(block.signature), signed);
+            } catch (error) {
+                console.log(`⚠️ Could not check signature: ${error.message}`);
+                block.signatureValid = false;
+            }
+        }
+        return this.signatureBlocks;
+    }
+
+    // SHA-256 over everything up to and including the checksum byte, compared with the appended digest
+    async verifyHash() {
+        if (!this.hashAppended) {
+            return null;
+        }
+
+        const digest = await crypto.subtle.digest('SHA-256', this.data.slice(0, this.length - 32));
+        this.hashValid = ESPImage.toHex(new Uint8Array(digest)) === this.sha256;
+        return this.hashValid;
+    }
+
+    // Refuse images for another chip or with a broken checksum / hash (call verifyHash() first)
+    check(expectedChipId, name = 'image') {
+        if (this.chipId !== expectedChipId) {
+            const chipNames = ESPImage.ESPLoader.CHIP_NAMES;
+            const chipName = chipNames[this.chipId] || `chip ID ${this.chipId}`;
+            throw new Error(`${name} was built for ${chipName}, not ${chipNames[expectedChipId]}`);
+        }
+        if (!this.checksumValid) {
+            throw new Error(`${name} has a bad checksum - the file is corrupted`);
+        }
+        if (this.hashValid === false) {
+            throw new Error(`${name} does not match its SHA-256 - the file is corrupted`);
+        }
+    }
+
+    // Copy with header bytes 2-3 set like esptool's --flash_mode / --flash_freq / --flash_size ("keep" or null leaves
+    // a field as it is), appended SHA-256 recomputed. Signed images keep their header - a patched one would no longer
+    // match the signature.
+    async withFlashParams(flashMode, flashFreq, flashSize, name = 'image') {
+        const keep = value => !value || value === 'keep';
+        const freqEntry = Object.entries(ESPImage.FLASH_FREQUENCIES).find(([, value]) => value === flashFreq);
+        const mode = keep(flashMode) ? this.data[2] : ESPImage.FLASH_MODES.indexOf(flashMode);
+        const freq = keep(flashFreq) ? this.data[3] & 0x0F : (freqEntry ? Number(freqEntry[0]) : -1);
+        const size = keep(flashSize) ? this.data[3] >> 4 : ESPImage.FLASH_SIZES.indexOf(flashSize);
+        if (mode === -1 || freq === -1 || size === -1) {
+            throw new Error(`${name}: unsupported flash settings ${flashMode} ${flashFreq} ${flashSize}`);
+        }
+
+        const sizeFreq = (size << 4) | freq;
+        if (this.data[2] === mode && this.data[3] === sizeFreq) {
+            return this.data;
+        }
+        if (this.signatureBlocks.length > 0) {
+            console.log(`⚠️ ${name} is signed - keeping its flash settings (${this.flashMode} ${this.flashFreq} ${this.flashSize})`);
+            return this.data;
+        }
+
+        const patched = this.data.slice();
+        patched[2] = mode;
+        patched[3] = sizeFreq;
+        if (this.hashAppended) {
+            const digest = await crypto.subtle.digest('SHA-256', patched.slice(0, this.length - 32));
+            patched.set(new Uint8Array(digest), this.length - 32);
+        }
+        const settings = `${ESPImage.FLASH_MODES[mode]} ${ESPImage.FLASH_FREQUENCIES[freq]} ${ESPImage.FLASH_SIZES[size]}`;
+        console.log(`🔧 ${name}: flash settings ${this.flashMode} ${this.flashFreq} ${this.flashSize} -> ${settings}`);
+        return patched;
+    }
+
+    static toHex(bytes) {
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ESPImage };
+}
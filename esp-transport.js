@@ -0,0 +1,163 @@
+// ESP32 Web Flasher - byte transports for the ROM-loader protocol (esp-loader.js)
+// Every transport offers the same small interface:
+//   connect(baudRate), disconnect(), write(bytes), read() -> Uint8Array | null (closed),
+//   cancelRead(), setSignals({ dataTerminalReady, requestToSend }), setBaudRate(baudRate), supportsSignals
+
+// Web Serial port (navigator.serial) - what the browser wizard uses
+class WebSerialTransport {
+    constructor(port) {
+        this.port = port;
+        this.reader = null;
+        this.writer = null;
+        this.baudRate = null;
+    }
+
+    get supportsSignals() {
+        return typeof this.port.setSignals === 'function';
+    }
+
+    async connect(baudRate) {
+        await this.port.open({
+            baudRate: baudRate,
+            dataBits: 8,
+            stopBits: 1,
+            parity: 'none'
+        });
+        this.baudRate = baudRate;
+
+        this.reader = this.port.readable.getReader();
+        this.writer = this.port.writable.getWriter();
+    }
+
+    async disconnect() {
+        if (this.reader) {
+            await this.cancelRead();
+            this.reader.releaseLock();
+            this.reader = null;
+        }
+        if (this.writer) {
+            this.writer.releaseLock();
+            this.writer = null;
+        }
+
+        if (this.port.readable) {
+            await this.port.close();
+        }
+    }
+
+    async write(bytes) {
+        await this.writer.write(bytes);
+    }
+
+    async read() {
+        const { value, done } = await this.reader.read();
+        return done ? null : value;
+    }
+
+    // Resolve a pending read() with null so its caller can let go of the port
+    async cancelRead() {
+        try {
+            await this.reader.cancel();
+        } catch (error) {
+            // Reader already released or port gone
+        }
+    }
+
+    async setSignals(signals) {
+        await this.port.setSignals(signals);
+    }
+
+    // Web Serial cannot change the rate of an open port - close and reopen it at the new rate
+    async setBaudRate(baudRate) {
+        await this.disconnect();
+        await this.connect(baudRate);
+    }
+}
+
+// In-memory byte pipe for tests and tools: the "device" side hooks onWrite/onSignals/onBaudRate
+// and answers with receive(bytes)
+class MemoryTransport {
+    constructor(device = {}) {
+        this.device = device;
+        this.chunks = [];        // Bytes received from the device, not yet read
+        this.pendingRead = null; // resolve() of a read() waiting for data
+        this.written = [];       // Everything the host wrote, for inspection
+        this.signals = { dataTerminalReady: false, requestToSend: false };
+        this.baudRate = null;
+        this.connected = false;
+    }
+
+    get supportsSignals() {
+        return true;
+    }
+
+    async connect(baudRate) {
+        this.baudRate = baudRate;
+        this.connected = true;
+    }
+
+    async disconnect() {
+        await this.cancelRead();
+        this.connected = false;
+    }
+
+    async write(bytes) {
+        const copy = new Uint8Array(bytes);
+        this.written.push(copy);
+        if (this.device.onWrite) {
+            await this.device.onWrite(copy, this);
+        }
+    }
+
+    read() {
+        if (this.chunks.length > 0) {
+            return Promise.resolve(this.chunks.shift());
+        }
+        if (!this.connected) {
+            return Promise.resolve(null);
+        }
+        return new Promise(resolve => {
+            this.pendingRead = resolve;
+        });
+    }
+
+    async cancelRead() {
+        if (this.pendingRead) {
+            const resolve = this.pendingRead;
+            this.pendingRead = null;
+            resolve(null);
+        }
+    }
+
+    // Device -> host bytes
+    receive(bytes) {
+        const copy = new Uint8Array(bytes);
+        if (this.pendingRead) {
+            const resolve = this.pendingRead;
+            this.pendingRead = null;
+            resolve(copy);
+        } else {
+            this.chunks.push(copy);
+        }
+    }
+
+    async setSignals(signals) {
+        this.signals = { ...this.signals, ...signals };
+        if (this.device.onSignals) {
+            await this.device.onSignals(this.signals, this);
+        }
+    }
+
+    async setBaudRate(baudRate) {
+        await this.cancelRead();
+        this.chunks = [];
+        this.baudRate = baudRate;
+        if (this.device.onBaudRate) {
+            await this.device.onBaudRate(baudRate, this);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WebSerialTransport, MemoryTransport };
+}
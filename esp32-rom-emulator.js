@@ -0,0 +1,669 @@
+// ESP32 Web Flasher - emulated ESP32-S3 ROM download mode for testing without hardware
+// Plugs in where navigator.serial.requestPort() would: new ESP32S3Emulator().createPort() behaves like a
+// Web Serial port, so WebSerialTransport + ESPLoader run unchanged against a virtual 16MB flash.
+// Open the wizard with ?emulator to flash the emulator instead of a real device.
+//
+// Fault injection (this.faults, can be changed between commands):
+//   drop:        [{ cmd, count }] - swallow the next `count` responses to opcode `cmd` (lost on the wire)
+//   ignore:      [{ cmd, count }] - never see the next `count` commands with opcode `cmd` (lost on the way in)
+//   badChecksum: [{ cmd, count }] - treat the next `count` `cmd` packets as corrupted in transit (status 0x07)
+//   delay:       milliseconds before every response is sent
+//   split:       deliver responses in USB chunks of this many bytes
+// test/emulator-recovery.test.js drives these faults against ESPLoader (node --test test/).
+//
+// Recorded for tests: commandCounts (opcode -> commands handled), flashBegins ({ address, length } erased by each
+// FLASH_BEGIN / FLASH_DEFL_BEGIN) and plaintextWrites.
+
+// ROM loader error codes (second status byte when the first is 1)
+const ROM_ERROR = {
+    INVALID_MESSAGE: 0x05, // Also what secure download mode answers to commands it does not allow
+    FAILED_TO_ACT: 0x06,
+    INVALID_CRC: 0x07,
+    FLASH_WRITE: 0x08,
+    DEFLATE: 0x0B
+};
+
+// SHA-256 of the public key that signs the firmware in ../firmware (Secure Boot v2 signature blocks)
+const RELEASE_KEY_DIGEST = '32eff6d5e9e8932a1530790cf6a3d4b48c5bb53ca10f3f4792608500c1a23df2';
+
+// RFC 1321 section 3.4 sine table and per-round shifts, written out so the emulator's SPI_FLASH_MD5 does not share
+// code with the flasher it checks
+const MD5_T = [
+    0xd76aa478, 0xe8c7b756, 0x242070db, 0xc1bdceee, 0xf57c0faf, 0x4787c62a, 0xa8304613, 0xfd469501,
+    0x698098d8, 0x8b44f7af, 0xffff5bb1, 0x895cd7be, 0x6b901122, 0xfd987193, 0xa679438e, 0x49b40821,
+    0xf61e2562, 0xc040b340, 0x265e5a51, 0xe9b6c7aa, 0xd62f105d, 0x02441453, 0xd8a1e681, 0xe7d3fbc8,
+    0x21e1cde6, 0xc33707d6, 0xf4d50d87, 0x455a14ed, 0xa9e3e905, 0xfcefa3f8, 0x676f02d9, 0x8d2a4c8a,
+    0xfffa3942, 0x8771f681, 0x6d9d6122, 0xfde5380c, 0xa4beea44, 0x4bdecfa9, 0xf6bb4b60, 0xbebfbc70,
+    0x289b7ec6, 0xeaa127fa, 0xd4ef3085, 0x04881d05, 0xd9d4d039, 0xe6db99e5, 0x1fa27cf8, 0xc4ac5665,
+    0xf4292244, 0x432aff97, 0xab9423a7, 0xfc93a039, 0x655b59c3, 0x8f0ccc92, 0xffeff47d, 0x85845dd1,
+    0x6fa87e4f, 0xfe2ce6e0, 0xa3014314, 0x4e0811a1, 0xf7537e82, 0xbd3af235, 0x2ad7d2bb, 0xeb86d391
+];
+const MD5_S = [[7, 12, 17, 22], [5, 9, 14, 20], [4, 11, 16, 23], [6, 10, 15, 21]];
+
+// Commands the ROM still accepts in secure download mode
+const SECURE_DOWNLOAD_COMMANDS = [0x02, 0x03, 0x04, 0x08, 0x0B, 0x0D, 0x0F, 0x10, 0x11, 0x12, 0x14];
+
+class ESP32S3Emulator {
+    constructor(options = {}) {
+        this.flashSize = options.flashSize || 16 * 1024 * 1024;
+        this.flash = new Uint8Array(this.flashSize).fill(0xFF);
+        this.secureDownload = options.secureDownload || false;
+        this.secureBoot = options.secureBoot || false;
+        this.flashCryptCnt = options.flashCryptCnt || 0; // Odd number of set bits = flash encryption on
+        this.flashEncryption = this.flashCryptCnt.toString(2).split('1').length % 2 === 0;
+        this.plaintextWrites = []; // { address, length } written unencrypted while flash encryption is on - unbootable
+        this.flashBegins = [];     // { address, length } erased by each FLASH_BEGIN / FLASH_DEFL_BEGIN
+        this.commandCounts = {};   // opcode -> number of commands handled
+        this.secureBootDigest = options.secureBootDigest || RELEASE_KEY_DIGEST; // Burned into BLOCK_KEY0 with secureBoot
+        this.jedecId = options.jedecId || 0x1840EF; // Winbond 16MB
+        this.syncReplies = options.syncReplies || 8; // The ROM answers one SYNC with several responses
+        this.log = options.log || (() => {});
+        this.faults = { drop: [], ignore: [], badChecksum: [], delay: 0, split: 0, ...options.faults };
+
+        this.registers = new Map([
+            [0x40001000, 0x00000009], // Chip detect magic: ESP32-S3
+            [0x60007044, 0xA1E01234], // eFuse BLOCK1 words 0-1: factory MAC 7c:df:a1:e0:12:34
+            [0x60007048, 0x00007CDF],
+            [0x60007050, 2 << 18]     // eFuse BLOCK1 word 3: wafer minor revision 2 (chip v0.2)
+        ]);
+        if (this.secureBoot) {
+            this.provisionSecureBoot();
+        }
+        for (const [address, value] of Object.entries(options.registers || {})) {
+            this.registers.set(Number(address), value >>> 0);
+        }
+        this.spiBuffer = new Uint32Array(16); // SPI1 W0..W15
+
+        // Host side of the wire
+        this.hostBaudRate = null;
+        this.dataTerminalReady = true;
+        this.requestToSend = true;
+        this.rxChunks = [];     // Device -> host chunks nobody has read yet
+        this.pendingReads = []; // resolve() of host reads waiting for data
+        this.inFrame = null;    // Host -> device bytes of the frame being received
+        this.processing = Promise.resolve();
+
+        this.boot(false);
+    }
+
+    // eFuses of a provisioned panel: secure boot digest in BLOCK_KEY0, read-protected XTS-AES key in BLOCK_KEY1
+    provisionSecureBoot() {
+        const setBits = (address, bits) => this.registers.set(address, ((this.registers.get(address) || 0) | bits) >>> 0);
+        setBits(0x60007030, 1 << 1);  // RD_DIS: BLOCK_KEY1
+        setBits(0x60007034, (this.flashCryptCnt << 18) | (9 << 24) | (4 << 28)); // SPI_BOOT_CRYPT_CNT, KEY_PURPOSE_0/1
+        setBits(0x60007038, 1 << 20); // SECURE_BOOT_EN
+        if (this.secureDownload) {
+            setBits(0x6000703C, 1 << 5); // ENABLE_SECURITY_DOWNLOAD
+        }
+        for (let i = 0; i < 8; i++) {
+            const word = this.secureBootDigest.slice(i * 8, i * 8 + 8).match(/../g).reverse().join('');
+            this.registers.set(0x6000709C + i * 4, parseInt(word, 16)); // Secure boot key digest, little-endian words
+        }
+    }
+
+    // Chip reset: GPIO0 low at the rising edge of EN selects the ROM download mode
+    boot(downloadMode) {
+        this.mode = downloadMode ? 'download' : 'firmware';
+        this.stubActive = false;
+        this.baudRate = 115200;
+        this.flashOp = null;
+        this.memOp = null;
+        this.readOp = null;
+        this.log(`🧪 Emulator reset into ${this.mode} mode`);
+
+        if (downloadMode) {
+            this.send(new TextEncoder().encode('ESP-ROM:esp32s3-20210327\r\nrst:0x1 (POWERON),boot:0x0 (DOWNLOAD(USB/UART0))\r\nwaiting for download\r\n'));
+        } else {
+            this.send(new TextEncoder().encode('ESP-ROM:esp32s3-20210327\r\nrst:0x1 (POWERON),boot:0x8 (SPI_FAST_FLASH_BOOT)\r\n'));
+        }
+    }
+
+    // Web Serial-like port: open/close, readable/writable streams (reader/writer locks only), setSignals
+    createPort() {
+        const emulator = this;
+
+        return {
+            readable: null,
+            writable: null,
+
+            async open(options) {
+                emulator.hostBaudRate = options.baudRate;
+                this.readable = {
+                    getReader: () => ({
+                        read: () => emulator.hostRead(),
+                        cancel: async () => emulator.cancelHostReads(),
+                        releaseLock() {}
+                    })
+                };
+                this.writable = {
+                    getWriter: () => ({
+                        write: async (bytes) => emulator.hostWrite(bytes),
+                        releaseLock() {}
+                    })
+                };
+            },
+
+            async close() {
+                emulator.cancelHostReads();
+                emulator.hostBaudRate = null;
+                this.readable = null;
+                this.writable = null;
+            },
+
+            async setSignals(signals) {
+                emulator.setSignals(signals);
+            },
+
+            getInfo() {
+                return { usbVendorId: 0x303A, usbProductId: 0x1001 }; // Espressif USB-Serial/JTAG
+            }
+        };
+    }
+
+    // DTR drives EN and RTS drives GPIO0 through the usual inverted auto-reset circuit
+    setSignals(signals) {
+        const dataTerminalReady = signals.dataTerminalReady ?? this.dataTerminalReady;
+        const requestToSend = signals.requestToSend ?? this.requestToSend;
+
+        if (!this.dataTerminalReady && dataTerminalReady) {
+            this.boot(!requestToSend);
+        }
+
+        this.dataTerminalReady = dataTerminalReady;
+        this.requestToSend = requestToSend;
+    }
+
+    hostRead() {
+        if (this.rxChunks.length > 0) {
+            return Promise.resolve({ value: this.rxChunks.shift(), done: false });
+        }
+        return new Promise(resolve => this.pendingReads.push(resolve));
+    }
+
+    cancelHostReads() {
+        for (const resolve of this.pendingReads.splice(0)) {
+            resolve({ value: undefined, done: true });
+        }
+    }
+
+    // Device -> host; bytes sent at a baud rate the host is not listening at are lost
+    send(bytes) {
+        if (this.hostBaudRate !== this.baudRate) {
+            return;
+        }
+
+        const chunkSize = this.faults.split || bytes.length;
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            const chunk = bytes.slice(i, i + chunkSize);
+            const resolve = this.pendingReads.shift();
+            if (resolve) {
+                resolve({ value: chunk, done: false });
+            } else {
+                this.rxChunks.push(chunk);
+            }
+        }
+    }
+
+    // Host -> device: collect SLIP frames and handle them one at a time, in order
+    hostWrite(bytes) {
+        if (this.hostBaudRate !== this.baudRate) {
+            return this.processing;
+        }
+
+        for (const byte of bytes) {
+            if (byte !== 0xC0) {
+                if (this.inFrame !== null) {
+                    this.inFrame.push(byte);
+                }
+                continue;
+            }
+
+            if (this.inFrame !== null && this.inFrame.length > 0) {
+                const frame = this.slipUnescape(this.inFrame);
+                this.processing = this.processing
+                    .then(() => this.handleFrame(frame))
+                    .catch(error => this.log(`🧪 Emulator error: ${error.message}`));
+            }
+            this.inFrame = [];
+        }
+
+        return this.processing;
+    }
+
+    slipUnescape(bytes) {
+        const out = [];
+        for (let i = 0; i < bytes.length; i++) {
+            if (bytes[i] === 0xDB && i + 1 < bytes.length) {
+                i++;
+                out.push(bytes[i] === 0xDC ? 0xC0 : 0xDB);
+            } else {
+                out.push(bytes[i]);
+            }
+        }
+        return new Uint8Array(out);
+    }
+
+    slipEncode(bytes) {
+        const out = [0xC0];
+        for (const byte of bytes) {
+            if (byte === 0xC0) {
+                out.push(0xDB, 0xDC);
+            } else if (byte === 0xDB) {
+                out.push(0xDB, 0xDD);
+            } else {
+                out.push(byte);
+            }
+        }
+        out.push(0xC0);
+        return new Uint8Array(out);
+    }
+
+    // Remove one pending fault for cmd from a fault list; true if it applied
+    takeFault(list, cmd) {
+        const index = list.findIndex(fault => fault.cmd === cmd);
+        if (index === -1) {
+            return false;
+        }
+        if (--list[index].count <= 0) {
+            list.splice(index, 1);
+        }
+        return true;
+    }
+
+    // Response: direction 1, opcode, size, value, data, then status bytes (4 from the ROM, 2 from the stub)
+    respond(cmd, value = 0, data = new Uint8Array(0), error = 0) {
+        const statusLength = this.stubActive ? 2 : 4;
+        const packet = new Uint8Array(8 + data.length + statusLength);
+        const view = new DataView(packet.buffer);
+        packet[0] = 0x01;
+        packet[1] = cmd;
+        view.setUint16(2, data.length + statusLength, true);
+        view.setUint32(4, value >>> 0, true);
+        packet.set(data, 8);
+        packet[8 + data.length] = error ? 1 : 0;
+        packet[9 + data.length] = error;
+
+        if (this.takeFault(this.faults.drop, cmd)) {
+            this.log(`🧪 Dropping response to 0x${cmd.toString(16)}`);
+            return;
+        }
+
+        this.sendFrame(packet);
+    }
+
+    // Every frame goes through the same (possibly delayed) path so their order is kept
+    sendFrame(bytes) {
+        const frame = this.slipEncode(bytes);
+        if (this.faults.delay) {
+            setTimeout(() => this.send(frame), this.faults.delay);
+        } else {
+            this.send(frame);
+        }
+    }
+
+    checksum(bytes) {
+        let checksum = 0xEF;
+        for (const byte of bytes) {
+            checksum ^= byte;
+        }
+        return checksum;
+    }
+
+    async handleFrame(frame) {
+        // During a stub READ_FLASH the host only sends acknowledgements
+        if (this.readOp) {
+            this.readOp.acked = new DataView(frame.buffer).getUint32(0, true);
+            this.sendReadBlock();
+            return;
+        }
+
+        if (this.mode !== 'download' || frame.length < 8 || frame[0] !== 0x00) {
+            return;
+        }
+
+        const cmd = frame[1];
+        const size = frame[2] | (frame[3] << 8);
+        const checksum = new DataView(frame.buffer).getUint32(4, true);
+        const data = frame.slice(8, 8 + size);
+
+        if (this.takeFault(this.faults.ignore, cmd)) {
+            this.log(`🧪 Ignoring command 0x${cmd.toString(16)}`);
+            return;
+        }
+        if (this.secureDownload && !this.stubActive && !SECURE_DOWNLOAD_COMMANDS.includes(cmd)) {
+            this.respond(cmd, 0, undefined, ROM_ERROR.INVALID_MESSAGE);
+            return;
+        }
+
+        await this.handleCommand(cmd, data, checksum);
+    }
+
+    async handleCommand(cmd, data, checksum) {
+        const view = new DataView(data.buffer);
+        const word = index => view.getUint32(index * 4, true);
+        this.commandCounts[cmd] = (this.commandCounts[cmd] || 0) + 1;
+
+        switch (cmd) {
+            case 0x08: // SYNC
+                for (let i = 0; i < this.syncReplies; i++) {
+                    this.respond(cmd);
+                }
+                return;
+
+            case 0x0A: // READ_REG
+                this.respond(cmd, this.readRegister(word(0)));
+                return;
+
+            case 0x09: // WRITE_REG
+                this.writeRegister(word(0), word(1));
+                this.respond(cmd);
+                return;
+
+            case 0x0B: // SPI_SET_PARAMS
+            case 0x0D: // SPI_ATTACH
+                this.respond(cmd);
+                return;
+
+            case 0x0F: // CHANGE_BAUDRATE - answer at the old rate, then switch
+                this.respond(cmd);
+                this.baudRate = word(0);
+                return;
+
+            case 0x14: { // GET_SECURITY_INFO: flags, flash_crypt_cnt, key purposes, chip ID, API version
+                const info = new Uint8Array(20);
+                const infoView = new DataView(info.buffer);
+                infoView.setUint32(0, (this.secureBoot ? 1 << 0 : 0) | (this.secureDownload ? 1 << 2 : 0), true);
+                info[4] = this.flashCryptCnt;
+                infoView.setUint32(12, 9, true); // ESP32-S3
+                this.respond(cmd, 0, info);
+                return;
+            }
+
+            case 0x05: // MEM_BEGIN
+                this.memOp = { size: word(0), sequence: 0 };
+                this.respond(cmd);
+                return;
+
+            case 0x07: // MEM_DATA
+                if (!this.memOp) {
+                    this.respond(cmd, 0, undefined, ROM_ERROR.FAILED_TO_ACT);
+                } else if (this.takeFault(this.faults.badChecksum, cmd) || this.checksum(data.slice(16)) !== checksum) {
+                    this.respond(cmd, 0, undefined, ROM_ERROR.INVALID_CRC);
+                } else {
+                    this.respond(cmd);
+                }
+                return;
+
+            case 0x06: // MEM_END - a zero no-entry flag jumps to the uploaded flasher stub
+                this.respond(cmd);
+                if (this.memOp && word(0) === 0) {
+                    this.stubActive = true;
+                    this.sendFrame(new TextEncoder().encode('OHAI'));
+                }
+                this.memOp = null;
+                return;
+
+            case 0x02: // FLASH_BEGIN
+            case 0x10: // FLASH_DEFL_BEGIN
+                // Only the ROM's FLASH_BEGIN carries the 5th encrypted_mode word
+                await this.flashBegin(cmd, word(0), word(1), word(2), word(3), cmd === 0x02 && !this.stubActive && data.length >= 20 && word(4) === 1);
+                return;
+
+            case 0x03: // FLASH_DATA
+            case 0x11: // FLASH_DEFL_DATA
+                await this.flashData(cmd, data, checksum);
+                return;
+
+            case 0x04: // FLASH_END
+            case 0x12: // FLASH_DEFL_END
+                this.flashOp = null;
+                this.respond(cmd);
+                if (word(0) === 0) {
+                    this.boot(false); // Reboot into the new firmware
+                }
+                return;
+
+            case 0x13: { // SPI_FLASH_MD5 - the ROM answers in hex text, the stub with the raw digest
+                const address = word(0);
+                const length = word(1);
+                const digest = this.md5(this.flash.subarray(address, address + length));
+                this.respond(cmd, 0, this.stubActive ? this.hexToBytes(digest) : new TextEncoder().encode(digest));
+                return;
+            }
+
+            case 0xD2: // READ_FLASH (stub only)
+                if (!this.stubActive) {
+                    this.respond(cmd, 0, undefined, ROM_ERROR.INVALID_MESSAGE);
+                    return;
+                }
+                this.respond(cmd);
+                this.readOp = { address: word(0), length: word(1), blockSize: word(2), sent: 0, acked: 0 };
+                this.sendReadBlock();
+                return;
+
+            default:
+                this.respond(cmd, 0, undefined, ROM_ERROR.INVALID_MESSAGE);
+        }
+    }
+
+    async flashBegin(cmd, eraseSize, packetCount, packetSize, offset, encrypted = false) {
+        if (offset + eraseSize > this.flashSize) {
+            this.respond(cmd, 0, undefined, ROM_ERROR.FAILED_TO_ACT);
+            return;
+        }
+
+        // Erase whole 4KB sectors up front (the real stub erases as it goes - same end result)
+        const eraseEnd = Math.min(offset + Math.ceil(eraseSize / 4096) * 4096, this.flashSize);
+        this.flash.fill(0xFF, offset, eraseEnd);
+        this.flashBegins.push({ address: offset, length: eraseEnd - offset });
+
+        this.flashOp = {
+            compressed: cmd === 0x10,
+            offset: offset,
+            position: offset,
+            packetCount: packetCount,
+            packetSize: packetSize,
+            sequence: 0,
+            encrypted: encrypted,
+            inflater: null
+        };
+        if (this.flashOp.compressed) {
+            this.flashOp.inflater = this.startInflater(offset);
+        }
+
+        this.respond(cmd);
+    }
+
+    async flashData(cmd, data, checksum) {
+        const op = this.flashOp;
+        if (!op || op.compressed !== (cmd === 0x11)) {
+            this.respond(cmd, 0, undefined, ROM_ERROR.FAILED_TO_ACT);
+            return;
+        }
+
+        const view = new DataView(data.buffer);
+        const length = view.getUint32(0, true);
+        const sequence = view.getUint32(4, true);
+        const block = data.slice(16, 16 + length);
+
+        if (this.takeFault(this.faults.badChecksum, cmd) || this.checksum(block) !== checksum) {
+            this.respond(cmd, 0, undefined, ROM_ERROR.INVALID_CRC);
+            return;
+        }
+
+        // A repeat of the last block is the host retrying after a lost response - acknowledge it again
+        if (sequence === op.sequence - 1) {
+            this.respond(cmd);
+            return;
+        }
+        if (sequence !== op.sequence) {
+            this.respond(cmd, 0, undefined, ROM_ERROR.FAILED_TO_ACT);
+            return;
+        }
+        op.sequence++;
+
+        if (!op.compressed) {
+            this.writeFlash(op.position, block, op.encrypted);
+            op.position += block.length;
+            this.respond(cmd);
+            return;
+        }
+
+        op.inflater.writer.write(block);
+        if (op.sequence === op.packetCount) {
+            // Last packet: the whole image must be on flash before the host gets its answer
+            op.inflater.writer.close().catch(() => {});
+            await op.inflater.done;
+        }
+        this.respond(cmd, 0, undefined, op.inflater.error ? ROM_ERROR.DEFLATE : 0);
+    }
+
+    // Inflate a FLASH_DEFL_* zlib stream straight onto flash as it arrives
+    startInflater(offset) {
+        const stream = new DecompressionStream('deflate');
+        const inflater = { writer: stream.writable.getWriter(), error: null, done: null };
+
+        inflater.done = (async () => {
+            const reader = stream.readable.getReader();
+            let position = offset;
+            try {
+                for (;;) {
+                    const { value, done } = await reader.read();
+                    if (done) {
+                        break;
+                    }
+                    this.writeFlash(position, value);
+                    position += value.length;
+                }
+            } catch (error) {
+                inflater.error = error;
+                this.log(`🧪 Inflate failed: ${error.message}`);
+            }
+        })();
+
+        return inflater;
+    }
+
+    // NOR flash: programming can only clear bits. With flash encryption on, encrypted writes store "ciphertext"
+    // (an address-keyed XOR stands in for XTS-AES) and plaintext writes are recorded as unbootable
+    writeFlash(address, bytes, encrypted = false) {
+        const end = Math.min(address + bytes.length, this.flashSize);
+        if (this.flashEncryption && !encrypted && end > address) {
+            this.plaintextWrites.push({ address: address, length: end - address });
+        }
+        for (let i = address; i < end; i++) {
+            const value = this.flashEncryption && encrypted ? bytes[i - address] ^ this.keystream(i) : bytes[i - address];
+            this.flash[i] &= value;
+        }
+    }
+
+    keystream(address) {
+        return (0xA5 ^ (address >>> 4) ^ (address * 0x3B)) & 0xFF || 0x5A;
+    }
+
+    // Stub READ_FLASH: stream blocks while the host's acknowledgements keep up, then the raw MD5
+    sendReadBlock() {
+        const op = this.readOp;
+        if (op.acked >= op.length) {
+            this.readOp = null;
+            this.sendFrame(this.hexToBytes(this.md5(this.flash.subarray(op.address, op.address + op.length))));
+            return;
+        }
+        if (op.sent > op.acked) {
+            return;
+        }
+
+        const count = Math.min(op.blockSize, op.length - op.sent);
+        this.sendFrame(this.flash.slice(op.address + op.sent, op.address + op.sent + count));
+        op.sent += count;
+    }
+
+    readRegister(address) {
+        if (address >= 0x60002058 && address < 0x60002098) {
+            return this.spiBuffer[(address - 0x60002058) / 4];
+        }
+        return this.registers.get(address) || 0;
+    }
+
+    // Enough of SPI1 for the ROM-mode readback fallback: READ (0x03) and RDID (0x9F) user commands
+    writeRegister(address, value) {
+        if (address >= 0x60002058 && address < 0x60002098) {
+            this.spiBuffer[(address - 0x60002058) / 4] = value;
+            return;
+        }
+        this.registers.set(address, value >>> 0);
+
+        if (address === 0x60002000 && (value & (1 << 18))) { // SPI_MEM_CMD_REG: SPI_MEM_USR
+            const command = (this.registers.get(0x60002020) || 0) & 0xFFFF;
+            const spiAddress = this.registers.get(0x60002004) || 0;
+
+            if (command === 0x03) {
+                for (let i = 0; i < 16; i++) {
+                    const base = spiAddress + i * 4;
+                    this.spiBuffer[i] = this.flash[base] | (this.flash[base + 1] << 8) | (this.flash[base + 2] << 16) | (this.flash[base + 3] << 24);
+                }
+            } else if (command === 0x9F) {
+                this.spiBuffer[0] = this.jedecId;
+            }
+            this.registers.set(0x60002000, 0); // Done
+        }
+    }
+
+    // Hex MD5 digest (RFC 1321), independent of esp-loader.js
+    md5(bytes) {
+        const length = bytes.length;
+        const padded = new Uint8Array(((length + 8) >> 6) * 64 + 64);
+        padded.set(bytes);
+        padded[length] = 0x80;
+        const view = new DataView(padded.buffer);
+        view.setUint32(padded.length - 8, (length << 3) >>> 0, true);
+        view.setUint32(padded.length - 4, Math.floor(length / 0x20000000), true);
+
+        const state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+        for (let block = 0; block < padded.length; block += 64) {
+            let [a, b, c, d] = state;
+            for (let i = 0; i < 64; i++) {
+                const round = i >> 4;
+                let f, g;
+                if (round === 0) {
+                    f = (b & c) | (~b & d);
+                    g = i;
+                } else if (round === 1) {
+                    f = (d & b) | (~d & c);
+                    g = (5 * i + 1) & 15;
+                } else if (round === 2) {
+                    f = b ^ c ^ d;
+                    g = (3 * i + 5) & 15;
+                } else {
+                    f = c ^ (b | ~d);
+                    g = (7 * i) & 15;
+                }
+                const sum = (a + f + MD5_T[i] + view.getUint32(block + g * 4, true)) >>> 0;
+                const shift = MD5_S[round][i & 3];
+                [a, d, c] = [d, c, b];
+                b = (b + ((sum << shift) | (sum >>> (32 - shift)))) >>> 0;
+            }
+            state[0] = (state[0] + a) >>> 0;
+            state[1] = (state[1] + b) >>> 0;
+            state[2] = (state[2] + c) >>> 0;
+            state[3] = (state[3] + d) >>> 0;
+        }
+
+        const digest = new Uint8Array(16);
+        const digestView = new DataView(digest.buffer);
+        state.forEach((word, i) => digestView.setUint32(i * 4, word, true));
+        return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    hexToBytes(hex) {
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ESP32S3Emulator };
+}
@@ -0,0 +1,80 @@
+// ESP32 Web Flasher - ESP-IDF flash args files (flash_project_args, flash_app_args, bootloader-flash_args)
+// A release without a manifest is described by the args files idf.py writes next to its images: option lines
+// ("--flash_mode dio --flash_freq 80m ...") and "<offset> <file>" pairs. No DOM or device access.
+
+class FlashArgs {
+    // Parse an ESP-IDF args file: "--flash_mode dio --flash_freq 80m ..." lines plus "0x10000 hbd.bin" pairs
+    static parse(text, source = 'flash args') {
+        const options = {};
+        const entries = [];
+
+        text.split(/\r?\n/).forEach((rawLine, index) => {
+            const tokens = rawLine.trim().split(/\s+/).filter(Boolean);
+            if (tokens.length === 0) return;
+
+            if (tokens[0].startsWith('--')) {
+                for (let i = 0; i < tokens.length; i++) {
+                    const key = tokens[i].replace(/^--/, '');
+                    const next = tokens[i + 1];
+                    if (next && !next.startsWith('--')) {
+                        options[key] = next;
+                        i++;
+                    } else {
+                        options[key] = true;
+                    }
+                }
+                return;
+            }
+
+            if (tokens.length !== 2 || !/^(0x[0-9a-f]+|\d+)$/i.test(tokens[0])) {
+                throw new Error(`${source} line ${index + 1}: expected "<offset> <file>", got "${rawLine.trim()}"`);
+            }
+
+            const offset = Number(tokens[0]);
+            const duplicate = entries.find(e => e.offset === offset);
+            if (duplicate) {
+                throw new Error(`${source} line ${index + 1}: offset ${tokens[0]} already used by ${duplicate.file}`);
+            }
+
+            entries.push({ offset: offset, file: tokens[1], source: source });
+        });
+
+        return { options, entries, source };
+    }
+
+    // flash_project_args normally lists everything; bootloader-flash_args and flash_app_args fill in what it lacks
+    static merge(projectArgs, appArgs, bootloaderArgs) {
+        const entries = [...projectArgs.entries];
+        const options = { ...projectArgs.options };
+
+        for (const extra of [bootloaderArgs, appArgs]) {
+            if (!extra) continue;
+
+            for (const [key, value] of Object.entries(extra.options)) {
+                if (options[key] && options[key] !== value) {
+                    throw new Error(`Conflicting --${key} in ${extra.source}: ${value} (flash_project_args says ${options[key]})`);
+                }
+                options[key] = value;
+            }
+
+            for (const entry of extra.entries) {
+                const existing = entries.find(e => e.offset === entry.offset);
+                if (!existing) {
+                    entries.push(entry);
+                } else if (existing.file !== entry.file) {
+                    throw new Error(`Offset 0x${entry.offset.toString(16)} is assigned to both ${existing.file} (${existing.source}) and ${entry.file} (${entry.source})`);
+                }
+            }
+        }
+
+        // flash_app_args names the application image; without it fall back to the factory app offset
+        const appFile = appArgs?.entries[0]?.file
+            || entries.find(e => e.offset === 0x10000)?.file;
+
+        return { entries, options, appFile: appFile || null };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FlashArgs };
+}
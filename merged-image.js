@@ -0,0 +1,86 @@
+// ESP32 Web Flasher - merged single images, as esptool merge_bin writes them for factory programmers
+// Building lays a version's parts out at their offsets; splitting turns a dropped merged image back into those parts
+// along the partition table inside it, without a device. Partition table parsing comes from ESPLoader and the image
+// constants from ESPImage (esp-loader.js and esp-image.js, loaded before this file).
+
+class MergedImage {
+    static get TABLE_OFFSETS() { return [0x8000, 0xA000]; } // ESP-IDF default and this project's CONFIG_PARTITION_TABLE_OFFSET
+    static get TABLE_SIZE() { return 0xC00; }
+    static get SECTOR_SIZE() { return 0x1000; }
+
+    // The page's globals, or the modules when running under Node
+    static get ESPLoader() {
+        return typeof ESPLoader !== 'undefined' ? ESPLoader : require('./esp-loader.js').ESPLoader;
+    }
+
+    static get ESPImage() {
+        return typeof ESPImage !== 'undefined' ? ESPImage : require('./esp-image.js').ESPImage;
+    }
+
+    // Each part ({ data, address }) at its address with 0xFF in between; `length` pads it further (full flash size)
+    static build(parts, length = Math.max(...parts.map(p => p.address + p.data.length))) {
+        const merged = new Uint8Array(length).fill(0xFF);
+        for (const part of parts) {
+            if (part.address + part.data.length > length) {
+                throw new Error(`${part.path || 'part'} at 0x${part.address.toString(16)} runs past the end of the ${length}-byte image`);
+            }
+            merged.set(part.data, part.address);
+        }
+        return merged;
+    }
+
+    // A merge_bin image (bootloader at 0x0, partition table inside) flashes as the parts it was made of: bootloader,
+    // table and each partition up to its last non-0xFF sector. Partitions that are only fill are left alone, except
+    // otadata, which always resets the boot slot like ota_data_initial.bin does. Returns null for anything else.
+    static split(data, name) {
+        const ESPImage = MergedImage.ESPImage;
+        if (data[0] !== ESPImage.MAGIC) {
+            return null;
+        }
+        const tableOffset = MergedImage.TABLE_OFFSETS.find(offset => data[offset] === 0xAA && data[offset + 1] === 0x50);
+        if (tableOffset === undefined) {
+            return null;
+        }
+
+        let table;
+        try {
+            table = MergedImage.ESPLoader.parsePartitionTable(data.slice(tableOffset, tableOffset + MergedImage.TABLE_SIZE));
+        } catch (error) {
+            throw new Error(`${name} looks like a merged image, but its partition table at 0x${tableOffset.toString(16)} is invalid: ${error.message}`);
+        }
+
+        // A signed table carries its signature sector in the next 4KB
+        const signatureSector = tableOffset + MergedImage.SECTOR_SIZE;
+        const signedTable = data[signatureSector] === ESPImage.SIGNATURE_BLOCK_MAGIC && data[signatureSector + 1] === ESPImage.SIGNATURE_BLOCK_VERSION;
+        const regions = [
+            { label: 'bootloader', offset: 0, end: tableOffset },
+            { label: 'partition-table', offset: tableOffset, end: signatureSector + (signedTable ? MergedImage.SECTOR_SIZE : 0), whole: true },
+            ...table.entries
+                .filter(p => p.offset < data.length)
+                .map(p => ({ label: p.label, offset: p.offset, end: Math.min(p.offset + p.size, data.length), whole: p.type === 0x01 && p.subtype === 0x00 }))
+        ];
+
+        const parts = [];
+        let covered = 0;
+        for (const region of regions.sort((a, b) => a.offset - b.offset)) {
+            const start = Math.max(region.offset, covered);
+            let end = region.end;
+            if (!region.whole) {
+                let last = end - 1;
+                while (last >= start && data[last] === 0xFF) last--;
+                end = Math.min(region.end, start + Math.ceil((last + 1 - start) / MergedImage.SECTOR_SIZE) * MergedImage.SECTOR_SIZE);
+            }
+            if (end > start) {
+                parts.push({ name: `${name} [${region.label}]`, data: data.slice(start, end), offsetText: `0x${start.toString(16)}` });
+                covered = end;
+            }
+        }
+
+        console.log(`🧩 ${name}: merged image, ${parts.map(p => `${p.name} @ ${p.offsetText} (${p.data.length} bytes)`).join(', ')}`);
+        return parts;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MergedImage };
+}
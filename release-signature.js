@@ -0,0 +1,64 @@
+// ESP32 Web Flasher - signed release entries in firmware/versions.json
+// Each version entry carries "signature": ECDSA P-256 / SHA-256 (raw r||s, base64) over the entry's canonical JSON
+// without the signature field. The entry pins its parts ("files": size + SHA-256 per part) and its manifest
+// ("manifestSha256"), so swapping a .bin or a manifest on the hosting bucket breaks the signature chain.
+// Used by the page to verify and by scripts/sign-release.js to sign.
+
+const RELEASE_SIGNING_CONTEXT = 'hbd-release-v1\n';
+
+class ReleaseSignature {
+    // Humly release public key - the private key is kept offline, never in this repository
+    static get PUBLIC_KEY() {
+        return {
+            kty: 'EC',
+            crv: 'P-256',
+            x: '0r0rHy3Nx4Elbof9glVE0uiTWj80msej9gfEIYdEe0E',
+            y: 'CXotTwEkcz4pr4by8qQ-CHLgZS70FoZfKwKAbjOF20E'
+        };
+    }
+
+    static get KEY_ALGORITHM() { return { name: 'ECDSA', namedCurve: 'P-256' }; }
+    static get SIGN_ALGORITHM() { return { name: 'ECDSA', hash: 'SHA-256' }; }
+
+    // Sorted keys, no whitespace - the same bytes in every browser and in Node
+    static canonicalize(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => ReleaseSignature.canonicalize(item)).join(',')}]`;
+        }
+        if (value !== null && typeof value === 'object') {
+            const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+            return `{${keys.map(key => `${JSON.stringify(key)}:${ReleaseSignature.canonicalize(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    static payload(entry) {
+        const { signature, ...signed } = entry;
+        return new TextEncoder().encode(RELEASE_SIGNING_CONTEXT + ReleaseSignature.canonicalize(signed));
+    }
+
+    static async sign(entry, privateKey) {
+        const signature = await crypto.subtle.sign(ReleaseSignature.SIGN_ALGORITHM, privateKey, ReleaseSignature.payload(entry));
+        return btoa(String.fromCharCode(...new Uint8Array(signature)));
+    }
+
+    // False for unsigned entries, malformed signatures and any change to the signed fields
+    static async verify(entry, publicKeyJwk = ReleaseSignature.PUBLIC_KEY) {
+        if (typeof entry.signature !== 'string' || entry.signature.length === 0) {
+            return false;
+        }
+
+        try {
+            const key = await crypto.subtle.importKey('jwk', publicKeyJwk, ReleaseSignature.KEY_ALGORITHM, false, ['verify']);
+            const signature = Uint8Array.from(atob(entry.signature), c => c.charCodeAt(0));
+            return await crypto.subtle.verify(ReleaseSignature.SIGN_ALGORITHM, key, signature, ReleaseSignature.payload(entry));
+        } catch (error) {
+            console.log(`⚠️ Release signature for ${entry.version} could not be checked: ${error.message}`);
+            return false;
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReleaseSignature, RELEASE_SIGNING_CONTEXT };
+}
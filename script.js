@@ -1,57 +1,31 @@
-// ESP32 Web Flasher - Direct esptool-js implementation
-// Matches Windows flasher parameters exactly: --before default_reset --after hard_reset --no-stub
-// Flash parameters: --flash_mode dio --flash_freq 80m --flash_size 16MB
-// Version: 2025-01-10-v3 - Professional esptool-js integration
-// CHECKSUM FIX: 2025-09-11 @ 18:45 - Fixed FLASH_DATA checksum calculation
-console.log('🔧 ESP32 Flasher script loaded with FLASH_DATA checksum fix (2025-09-11 @ 18:45)');
-
+// ESP32 Web Flasher - Humly Booking Device flashing wizard
+// Like esptool --before default_reset --after hard_reset: the esptool flasher stub is uploaded after SYNC for
+// compressed writes and real readback, except in secure download mode and with flash encryption, where the ROM
+// loader writes on its own
+// Flash parameters (--flash_mode / --flash_freq / --flash_size) come from each release's manifest or flash args
+// and are patched into the bootloader and app image headers
+
+// Wizard UI - the ROM-loader protocol itself lives in esp-loader.js (ESPLoader) over esp-transport.js
 class ESP32Flasher {
     constructor() {
         this.currentStep = 1;
-        this.selectedVersion = 'v1.36.0.16433';
+        this.selectedVersion = null; // Set from versions.json default in loadVersions()
         this.versions = null;
         this.connectedPort = null;
         this.portConnected = false;
-        this.espLoader = null;
-        this.transport = null;
+        this.transport = null; // WebSerialTransport over connectedPort, created per flash
+        this.loader = null;    // ESPLoader driving the device, created per flash
+        this.flashBaudRate = 460800; // User-selectable transfer rate negotiated with CHANGE_BAUDRATE
         
-        // Hardcoded secure boot configuration (100% secure boot devices)
-        this.secureBootEnabled = true;
-        this.romOnlyMode = true;
-        this.flashTimeout = 10000; // Extended timeout for secure operations
-        this.forceFlashing = true; // Enable force flashing for protected regions
-        
-        console.log('🔐 Hardcoded secure boot configuration: ROM-only mode with enhanced timeouts');
-        
-        // OTA partition layout for ESP32-S3 16MB flash (secure boot compatible)
-        this.otaConfig = {
-            otaDataPartition: 0x910000,    // OTA data partition - manages active slot
-            ota0Partition: 0x110000,       // OTA slot 0 - ~14MB available  
-            ota1Partition: 0x810000,       // OTA slot 1 - ~1MB before OTA data
-            factoryPartition: 0x10000,     // Factory partition (current firmware)
-            maxOtaSize: 0x700000           // ~7MB max per OTA partition
-        };
+        // ?emulator (or ?emulator=secure-boot / secure-boot-foreign-key / secure-download) flashes the emulated ROM loader instead of a device
+        this.emulatorMode = typeof ESP32S3Emulator !== 'undefined' ? new URLSearchParams(window.location.search).get('emulator') : null;
+        this.emulator = null;
+        this.efuseReport = null; // Last eFuse inspector result, for JSON export
+        this.localFiles = [];     // Developer mode: { name, data, offsetText } dropped in step 2
+        this.useLocalFiles = false; // Step 3 flashes localFiles instead of the selected release
         
-        // Current active OTA slot (will be determined at runtime)
-        this.activeOtaSlot = null;  // 0 or 1
-        this.targetOtaSlot = null;  // opposite of active
-        this.useOtaUpdate = true;   // Enable OTA mode for secure boot compatibility
-
-        // Firmware configurations - now supports both factory and OTA modes
-        this.firmwareConfig = {
-            'v1.36.0.16433': {
-                version: '1.36.0.16433',
-                name: '1.36.0 (Latest)',
-                parts: [
-                    { path: './firmware/v1.36.0.16433/bootloader/bootloader.bin', offset: 0, skipInOta: true },
-                    { path: './firmware/v1.36.0.16433/partition_table/partition-table.bin', offset: 40960, skipInOta: true },
-                    { path: './firmware/v1.36.0.16433/hbd.bin', offset: 65536, isApplication: true },
-                    { path: './firmware/v1.36.0.16433/ota_data_initial.bin', offset: 9502720, skipInOta: true },
-                    { path: './firmware/v1.36.0.16433/phy_init_data.bin', offset: 9510912 },
-                    { path: './firmware/v1.36.0.16433/assets.bin', offset: 9519104 }
-                ]
-            }
-        };
+        // Firmware configurations - built on demand from versions.json + per-version manifests
+        this.firmwareConfig = {};
         
         this.init();
     }
@@ -66,14 +40,17 @@ class ESP32Flasher {
         // Initialize event listeners
         this.setupEventListeners();
         
-        console.log('Humly Booking Device Flasher initialized with esptool-js');
+        // Build step 2 version cards from versions.json
+        this.renderVersionCards();
+        
+        console.log('Humly Booking Device Flasher initialized');
     }
 
     checkBrowserCompatibility() {
         const isChrome = /Chrome/.test(navigator.userAgent) && /Google Inc/.test(navigator.vendor);
         const isEdge = /Edg/.test(navigator.userAgent);
         const isSafari = /Safari/.test(navigator.userAgent) && /Apple Computer/.test(navigator.vendor);
-        const isSupported = (isChrome || isEdge) && 'serial' in navigator;
+        const isSupported = ((isChrome || isEdge) && 'serial' in navigator) || this.emulatorMode !== null;
 
         if (!isSupported) {
             document.getElementById('browser-check').classList.remove('hidden');
@@ -89,18 +66,113 @@ class ESP32Flasher {
             this.versions = await response.json();
             console.log('Loaded versions:', this.versions);
         } catch (error) {
+            // No unsigned fallback list - without versions.json there is nothing trustworthy to offer
             console.error('Failed to load versions:', error);
-            // Fallback to default data
-            this.versions = {
-                versions: [
-                    {
-                        version: "v1.36.0.16433",
-                        name: "1.36.0 (Latest)",
-                        recommended: true
-                    }
-                ],
-                default: "v1.36.0.16433"
-            };
+            this.versions = { versions: [], default: null };
+        }
+        
+        // Only releases signed with the Humly release key are offered
+        this.versions.versions = await this.filterSignedReleases(this.versions.versions);
+        
+        // Default selection follows versions.json rather than a hardcoded version
+        const defaultVersion = this.versions.versions.find(v => v.version === this.versions.default)
+            || this.versions.versions.find(v => v.recommended)
+            || this.versions.versions[0];
+        if (defaultVersion) {
+            this.selectedVersion = defaultVersion.version;
+        }
+    }
+
+    // Hide unsigned and tampered entries (release-signature.js); the emulator also offers unsigned local builds
+    async filterSignedReleases(versions) {
+        const offered = [];
+        for (const versionInfo of versions) {
+            if (await ReleaseSignature.verify(versionInfo)) {
+                console.log(`✍️ ${versionInfo.version}: release signature valid`);
+                offered.push(versionInfo);
+            } else if (!versionInfo.signature && this.emulatorMode !== null) {
+                console.log(`⚠️ ${versionInfo.version}: unsigned - offered in emulator mode only`);
+                offered.push(versionInfo);
+            } else {
+                console.log(`🚫 ${versionInfo.version}: ${versionInfo.signature ? 'release signature invalid (tampered)' : 'not signed'} - hidden`);
+            }
+        }
+        return offered;
+    }
+
+    // Build the flashable part list for a version from its versions.json entry and manifest
+    async getFirmwareConfig(version) {
+        if (this.firmwareConfig[version]) {
+            return this.firmwareConfig[version];
+        }
+        
+        const versionInfo = this.versions?.versions.find(v => v.version === version);
+        if (!versionInfo) {
+            throw new Error(`Configuration for version ${version} not found`);
+        }
+        if (!versionInfo.manifest) {
+            // No manifest - read the ESP-IDF build's flash args files straight from the version folder
+            const config = await this.loadFlashArgsConfig(versionInfo);
+            this.attachPartHashes(config, versionInfo);
+            this.firmwareConfig[version] = config;
+            return config;
+        }
+        
+        console.log(`📄 Loading manifest for ${version}: ${versionInfo.manifest}`);
+        const response = await fetch(versionInfo.manifest);
+        if (!response.ok) {
+            throw new Error(`Failed to load manifest ${versionInfo.manifest}: ${response.status}`);
+        }
+        // The signed versions.json entry pins the manifest too - offsets and part flags cannot be swapped
+        const manifestBytes = new Uint8Array(await response.arrayBuffer());
+        await this.checkIntegrity(versionInfo.manifest, manifestBytes, { sha256: versionInfo.manifestSha256 });
+        const manifest = JSON.parse(new TextDecoder().decode(manifestBytes));
+        
+        const build = (manifest.builds || []).find(b => b.chipFamily === 'ESP32-S3');
+        if (!build || !Array.isArray(build.parts) || build.parts.length === 0) {
+            throw new Error(`Manifest ${versionInfo.manifest} has no ESP32-S3 parts`);
+        }
+        
+        const config = {
+            version: versionInfo.version.replace(/^v/, ''),
+            name: versionInfo.name,
+            flashMode: build.flashMode || null,
+            flashFreq: build.flashFreq || null,
+            flashSize: build.flashSize || null,
+            parts: build.parts.map(part => ({
+                path: part.path,
+                offset: part.offset,
+                skipInOta: part.skipInOta || false,
+                isApplication: part.isApplication || false
+            }))
+        };
+        
+        if (config.parts.filter(p => p.isApplication).length !== 1) {
+            throw new Error(`Manifest ${versionInfo.manifest} must mark exactly one part as isApplication`);
+        }
+        
+        console.log(`✅ Manifest loaded for ${version}: ${config.parts.length} parts`);
+        this.attachPartHashes(config, versionInfo);
+        this.firmwareConfig[version] = config;
+        return config;
+    }
+
+    // versions.json "files": { "hbd.bin": { "size": ..., "sha256": "..." } }, keyed by path inside the version folder;
+    // a release with a part it does not hash is refused - nothing is flashed unchecked
+    attachPartHashes(config, versionInfo) {
+        const files = versionInfo.files || {};
+        const basePath = `./firmware/${versionInfo.path || versionInfo.version}/`;
+        
+        for (const part of config.parts) {
+            const relativePath = part.path.startsWith(basePath) ? part.path.slice(basePath.length) : part.path;
+            const declared = files[relativePath];
+            part.size = declared ? declared.size : null;
+            part.sha256 = declared ? declared.sha256.toLowerCase() : null;
+        }
+        
+        const unhashed = config.parts.filter(p => !p.sha256);
+        if (unhashed.length > 0) {
+            throw new Error(`versions.json declares no SHA-256 for ${unhashed.map(p => p.path).join(', ')} - ${versionInfo.version} cannot be flashed`);
         }
     }
 
@@ -117,11 +189,172 @@ class ESP32Flasher {
         const flashButton = document.getElementById('flash-button');
         flashButton.addEventListener('click', () => this.handleFlash());
 
-        // Version card selection
-        const versionCards = document.querySelectorAll('.version-card');
-        versionCards.forEach(card => {
-            card.addEventListener('click', () => this.selectVersion(card));
+        // Transfer speed used after sync (CHANGE_BAUDRATE)
+        const baudSelect = document.getElementById('baud-rate-select');
+        baudSelect.value = String(this.flashBaudRate);
+        baudSelect.addEventListener('change', () => {
+            this.flashBaudRate = parseInt(baudSelect.value, 10);
+            console.log(`⚙️ Transfer speed set to ${this.flashBaudRate} baud`);
+        });
+        
+        // Developer mode in step 2: local .bin files at custom offsets
+        const dropZone = document.getElementById('local-drop-zone');
+        dropZone.addEventListener('dragover', event => {
+            event.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drag-over'));
+        dropZone.addEventListener('drop', event => {
+            event.preventDefault();
+            dropZone.classList.remove('drag-over');
+            this.addLocalFiles(event.dataTransfer.files);
         });
+        document.getElementById('local-file-input').addEventListener('change', event => this.addLocalFiles(event.target.files));
+        document.getElementById('local-flash-button').addEventListener('click', () => this.proceedWithLocalFiles());
+        document.getElementById('bundle-url-button').addEventListener('click', () => this.importBundleFromUrl());
+        
+        // Merged single-image export of the selected version in step 2
+        document.getElementById('merged-download-button').addEventListener('click', () => this.downloadMergedImage());
+        
+        // Read-only eFuse inspector in step 2
+        document.getElementById('efuse-read-button').addEventListener('click', () => this.handleReadEfuses());
+        document.getElementById('efuse-export-button').addEventListener('click', () => this.exportEfuses());
+    }
+
+    // Build a part list from ESP-IDF's flash_project_args / flash_app_args / bootloader-flash_args
+    async loadFlashArgsConfig(versionInfo) {
+        const basePath = `./firmware/${versionInfo.path || versionInfo.version}/`;
+        console.log(`📄 No manifest for ${versionInfo.version} - reading ESP-IDF flash args from ${basePath}`);
+        
+        const fetchArgs = async (name, required) => {
+            const response = await fetch(basePath + name);
+            if (!response.ok) {
+                if (required) {
+                    throw new Error(`${name} not found in ${basePath} (HTTP ${response.status})`);
+                }
+                return null;
+            }
+            const bytes = new Uint8Array(await response.arrayBuffer());
+            await this.checkIntegrity(basePath + name, bytes, (versionInfo.files || {})[name]);
+            return FlashArgs.parse(new TextDecoder().decode(bytes), name);
+        };
+        
+        const projectArgs = await fetchArgs('flash_project_args', true);
+        const appArgs = await fetchArgs('flash_app_args', false);
+        const bootloaderArgs = await fetchArgs('bootloader-flash_args', false);
+        
+        const { entries, options, appFile } = FlashArgs.merge(projectArgs, appArgs, bootloaderArgs);
+        if (!appFile) {
+            throw new Error(`Cannot identify the application image in ${basePath} - add flash_app_args`);
+        }
+        
+        const parts = entries
+            .sort((a, b) => a.offset - b.offset)
+            .map(entry => ({
+                path: basePath + entry.file,
+                offset: entry.offset,
+                skipInOta: entry.offset === 0 || /bootloader|partition[-_]table|ota_data/.test(entry.file),
+                isApplication: entry.file === appFile
+            }));
+        
+        console.log(`✅ Flash args parsed for ${versionInfo.version}: ${parts.length} parts, ${options.flash_mode || '?'} ${options.flash_freq || '?'} ${options.flash_size || '?'}`);
+        
+        return {
+            version: versionInfo.version.replace(/^v/, ''),
+            name: versionInfo.name,
+            flashMode: options.flash_mode || null,
+            flashFreq: options.flash_freq || null,
+            flashSize: options.flash_size || null,
+            parts: parts
+        };
+    }
+
+    // Reject part lists whose images would overwrite each other once loaded
+    validatePartLayout(files) {
+        const sorted = [...files].sort((a, b) => a.address - b.address);
+        
+        for (let i = 1; i < sorted.length; i++) {
+            const previous = sorted[i - 1];
+            const current = sorted[i];
+            const previousEnd = previous.address + previous.data.length;
+            
+            if (previousEnd > current.address) {
+                throw new Error(`Firmware parts overlap: ${previous.path} (0x${previous.address.toString(16)}-0x${previousEnd.toString(16)}) runs into ${current.path} at 0x${current.address.toString(16)}`);
+            }
+        }
+    }
+
+    renderVersionCards() {
+        const container = document.querySelector('.version-selection');
+        container.innerHTML = '';
+        
+        if (this.versions.versions.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'version-description';
+            empty.textContent = 'No signed firmware release is available. Please contact your device supplier.';
+            container.appendChild(empty);
+            document.getElementById('continue-button').disabled = true;
+            return;
+        }
+        
+        for (const versionInfo of this.versions.versions) {
+            const card = document.createElement('div');
+            card.className = 'version-card';
+            card.dataset.version = versionInfo.version;
+            if (versionInfo.version === this.selectedVersion) {
+                card.classList.add('selected');
+            }
+            
+            // Header: "Version 1.36.0" + optional badge, release date
+            const header = document.createElement('div');
+            header.className = 'version-header';
+            
+            const title = document.createElement('h3');
+            const shortVersion = versionInfo.version.replace(/^v/, '').split('.').slice(0, 3).join('.');
+            title.textContent = `Version ${shortVersion} `;
+            if (versionInfo.recommended) {
+                const badge = document.createElement('span');
+                badge.className = 'badge recommended';
+                badge.textContent = 'Recommended';
+                title.appendChild(badge);
+            }
+            header.appendChild(title);
+            
+            if (versionInfo.date) {
+                const date = document.createElement('span');
+                date.className = 'version-date';
+                const released = new Date(`${versionInfo.date}T00:00:00Z`).toLocaleDateString('en-US', {
+                    month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+                });
+                date.textContent = `Released: ${released}`;
+                if (versionInfo.size) {
+                    date.textContent += ` · ${(versionInfo.size / (1024 * 1024)).toFixed(1)} MB`;
+                }
+                header.appendChild(date);
+            }
+            card.appendChild(header);
+            
+            if (versionInfo.description) {
+                const description = document.createElement('p');
+                description.className = 'version-description';
+                description.textContent = versionInfo.description;
+                card.appendChild(description);
+            }
+            
+            if (Array.isArray(versionInfo.changelog) && versionInfo.changelog.length > 0) {
+                const changelog = document.createElement('ul');
+                changelog.className = 'changelog';
+                for (const entry of versionInfo.changelog) {
+                    const item = document.createElement('li');
+                    item.textContent = entry;
+                    changelog.appendChild(item);
+                }
+                card.appendChild(changelog);
+            }
+            
+            card.addEventListener('click', () => this.selectVersion(card));
+            container.appendChild(card);
+        }
     }
 
     async handleConnect() {
@@ -132,25 +365,29 @@ class ESP32Flasher {
         connectButton.innerHTML = '<span class="button-text">Connecting...</span>';
         
         try {
-            // Wait for esptool to be ready
-            if (!window.esptoolReady) {
-                console.log('⏳ Waiting for esptool-js to load...');
-                await new Promise(resolve => {
-                    window.addEventListener('esptool-ready', resolve, { once: true });
-                });
-            }
-            
-            // Check if esptool is available
-            if (!window.esptoolPackage?.Transport) {
-                throw new Error('esptool-js Transport not available');
+            if (this.emulatorMode !== null) {
+                this.connectedPort = this.createEmulatorPort();
+            } else {
+                // Wait for esptool to be ready
+                if (!window.esptoolReady) {
+                    console.log('⏳ Waiting for esptool-js to load...');
+                    await new Promise(resolve => {
+                        window.addEventListener('esptool-ready', resolve, { once: true });
+                    });
+                }
+                
+                // Check if esptool is available
+                if (!window.esptoolPackage?.Transport) {
+                    throw new Error('esptool-js Transport not available');
+                }
+                
+                // Request port access but don't create transport yet
+                this.connectedPort = await navigator.serial.requestPort();
             }
             
-            // Request port access but don't create transport yet
-            const port = await navigator.serial.requestPort();
-            this.connectedPort = port;
-            
-            console.log('🔌 Port selected and stored for later use');
-            console.log('✅ Port ready for flashing');
+            console.log('🔌 Port selected - talking to the bootloader...');
+            await this.connectDevice();
+            console.log('✅ Device ready for flashing');
             
             this.portConnected = true;
             
@@ -165,10 +402,74 @@ class ESP32Flasher {
         } catch (error) {
             // User cancelled or connection failed
             console.error('Connection failed:', error);
+            await this.disconnectDevice();
             this.updateConnectionError();
         }
     }
 
+    // Virtual device from esp32-rom-emulator.js - faults can be injected from the console via flasher.emulator.faults
+    createEmulatorPort() {
+        const secureDownload = this.emulatorMode === 'secure-download';
+        const foreignKey = this.emulatorMode === 'secure-boot-foreign-key';
+        const secureBoot = secureDownload || foreignKey || this.emulatorMode === 'secure-boot';
+        this.emulator = new ESP32S3Emulator({
+            secureDownload: secureDownload,
+            secureBoot: secureBoot,
+            secureBootDigest: foreignKey ? '9e3779b93c6ef372daa66d2b78dde6e4171559dcb54ccd5653441ecff1bbb68a' : null,
+            flashCryptCnt: secureBoot ? 1 : 0,
+            log: message => console.log(message)
+        });
+        window.flasher = this;
+        
+        console.log(`🧪 Using emulated ESP32-S3${this.emulatorMode ? ` (${this.emulatorMode})` : ''} - no hardware involved`);
+        return this.emulator.createPort();
+    }
+
+    // Open the port, reset into the ROM loader and find out what kind of device this is
+    async connectDevice() {
+        console.log('🔗 Opening serial port for direct communication...');
+        this.transport = new WebSerialTransport(this.connectedPort);
+        this.loader = new ESPLoader(this.transport, {
+            onProgress: (written, total, path, state) => this.updateFlashProgress(written, total, path, state),
+            onOtaSlot: (slot, reason) => this.updateOtaSlotSummary(slot, reason),
+            confirmOtaSlot: (slot, reason) => confirm(
+                `The flasher cannot tell which application slot the device is running (${reason}).\n\n` +
+                `Writing ota_${slot} replaces the running application if the device boots from it, and the device may not start afterwards. ` +
+                'Only continue if you know the device runs another slot or its factory app.')
+        });
+        await this.loader.connect();
+        
+        // Perform initial device reset to ensure clean state
+        console.log('🔄 Performing initial device reset for clean state...');
+        await this.loader.performInitialReset();
+        
+        // Give device extra time before bootloader entry attempt
+        console.log('⏳ Allowing device to fully stabilize before bootloader entry...');
+        await this.loader.delay(1000);
+        
+        // Try multiple reset strategies to enter bootloader (--before default_reset)
+        await this.loader.enterBootloader();
+        console.log('✅ ESP32-S3 communication established!');
+        
+        // Secure boot, flash encryption and secure download mode decide how we flash
+        const chipInfo = await this.loader.detectChip();
+        await this.loader.readDeviceIdentity();
+        this.renderDeviceInfo(chipInfo);
+        await this.checkFlashSize();
+    }
+
+    async disconnectDevice() {
+        if (this.loader) {
+            try {
+                await this.loader.disconnect();
+            } catch (error) {
+                console.log('⚠️ Disconnect failed:', error.message);
+            }
+        }
+        this.loader = null;
+        this.transport = null;
+    }
+
     async handleFlash() {
         if (!this.portConnected || !this.connectedPort) {
             alert('No device connected. Please go back to Step 1 and connect your device.');
@@ -183,121 +484,59 @@ class ESP32Flasher {
             flashButton.style.display = 'none';
             flashProgress.classList.remove('hidden');
             
-            console.log('🚀 Starting ESP32 firmware flash with esptool-js...');
-            console.log('⚙️ Using Windows flasher parameters:');
-            console.log('   --before default_reset --after hard_reset --no-stub');
-            console.log('   --flash_mode dio --flash_freq 80m --flash_size 16MB');
+            console.log('🚀 Starting ESP32 firmware flash...');
             
-            // Bypass esptool-js and implement direct ESP32-S3 flash protocol
-            console.log('🔧 Using direct Web Serial ESP32-S3 flash protocol...');
-            
-            // Initialize direct serial communication first
-            console.log('🔗 Opening serial port for direct communication...');
-            await this.connectedPort.open({
-                baudRate: 115200,
-                dataBits: 8,
-                stopBits: 1,
-                parity: 'none'
-            });
-            
-            // Get readers/writers for communication
-            this.reader = this.connectedPort.readable.getReader();
-            this.writer = this.connectedPort.writable.getWriter();
-            
-            // Perform initial device reset to ensure clean state
-            console.log('🔄 Performing initial device reset for clean state...');
-            await this.performInitialReset();
-            
-            // Give device extra time before bootloader entry attempt
-            console.log('⏳ Allowing device to fully stabilize before bootloader entry...');
-            await this.delay(1000);
-            
-            // Try multiple reset strategies to enter bootloader (--before default_reset)
-            console.log('🔄 Attempting bootloader entry with multiple strategies...');
-            const maxResetAttempts = 3;
-            let bootloaderSuccess = false;
-            
-            for (let resetAttempt = 1; resetAttempt <= maxResetAttempts; resetAttempt++) {
-                console.log(`🔄 Bootloader entry attempt ${resetAttempt}/${maxResetAttempts}`);
-                
-                try {
-                    // Try different reset strategies
-                    if (resetAttempt === 1) {
-                        console.log('📍 Strategy 1: Standard ESP32-S3 reset sequence');
-                        await this.performHardwareReset();
-                    } else if (resetAttempt === 2) {
-                        console.log('📍 Strategy 2: Extended timing reset sequence');
-                        await this.performExtendedReset();
-                    } else {
-                        console.log('📍 Strategy 3: Aggressive reset with multiple cycles');
-                        await this.performAggressiveReset();
-                    }
-                    
-                    // Wait for bootloader to initialize
-                    console.log('⏳ Waiting for ESP32-S3 bootloader to initialize...');
-                    const bootloaderDelay = this.secureBootEnabled ? 5000 : 3000;
-                    await this.delay(bootloaderDelay);
-                    
-                    console.log('📡 Attempting ESP32-S3 sync...');
-                    await this.esp32Sync();
-                    
-                    // If we get here, sync was successful
-                    console.log(`✅ Bootloader entry successful on attempt ${resetAttempt}`);
-                    bootloaderSuccess = true;
-                    break;
-                    
-                } catch (syncError) {
-                    console.log(`❌ Attempt ${resetAttempt} failed:`, syncError.message);
-                    
-                    if (resetAttempt < maxResetAttempts) {
-                        console.log('🔄 Trying next strategy...');
-                        await this.delay(1000); // Wait before next attempt
-                    } else {
-                        throw new Error(`Failed to enter bootloader after ${maxResetAttempts} attempts. Please reload the page and try again.`);
-                    }
-                }
+            // The bootloader was entered at connect time; a failed attempt drops the link, so start over then
+            if (!this.loader) {
+                await this.connectDevice();
             }
+            console.log(`⚙️ --before default_reset --after hard_reset, ${this.loader.stubEnabled ? 'flasher stub' : 'ROM loader only'}`);
             
-            if (!bootloaderSuccess) {
-                throw new Error('Bootloader entry failed after all strategies');
+            // Upload the flasher stub for faster writes and real readback (ROM stays in charge if refused)
+            if (this.loader.stubEnabled) {
+                await this.loader.runStub();
             }
             
-            console.log('✅ ESP32-S3 communication established!');
+            // Switch to the faster transfer rate (falls back to 115200 if the link does not come up)
+            if (this.flashBaudRate !== this.loader.romBaudRate) {
+                await this.loader.negotiateBaudRate(this.flashBaudRate);
+            }
             
-            // Load firmware files
+            // Load firmware files (developer mode: the local files at their offsets)
             console.log('📁 Loading firmware files...');
-            const firmwareData = await this.loadFirmwareFiles();
+            const firmwareData = this.useLocalFiles ? await this.loadLocalFilesForFlash() : await this.loadFirmwareFiles();
             console.log('✅ Firmware files loaded:', firmwareData.length, 'files');
             
-            // Flash firmware using direct ESP32 commands
+            // Flash firmware using direct ESP32 commands (local files keep the settings in their own headers)
+            const flashParams = this.useLocalFiles ? {} : await this.getFirmwareConfig(this.selectedVersion);
             console.log('⚡ Flashing firmware with direct ESP32 commands...');
             console.log('Flash options:', {
                 fileCount: firmwareData.length,
-                flashSize: '16MB',
-                flashMode: 'dio',
-                flashFreq: '80m',
+                flashSize: flashParams.flashSize || 'keep',
+                flashMode: flashParams.flashMode || 'keep',
+                flashFreq: flashParams.flashFreq || 'keep',
                 totalBytes: firmwareData.reduce((sum, file) => sum + file.data.length, 0)
             });
             
-            await this.esp32FlashFirmware(firmwareData);
+            await this.loader.esp32FlashFirmware(firmwareData);
             
             // Perform critical firmware verification and reboot
             console.log('🔍 Performing final verification of critical firmware components...');
-            await this.performFinalVerification(firmwareData);
+            const verificationReport = await this.loader.performFinalVerification(firmwareData);
             
             // Perform final reboot to new firmware (esptool --after hard_reset)
             console.log('🔄 Sending final FLASH_END with reboot to start new firmware...');
             try {
                 console.log('📡 Calling esp32FlashEnd(true) for final reboot...');
-                const rebootResult = await this.esp32FlashEnd(true); // Reboot to new firmware
+                const rebootResult = await this.loader.esp32FlashEnd(true); // Reboot to new firmware
                 console.log('✅ FLASH_END(reboot=true) command completed successfully');
                 console.log('🔄 Device should be rebooting to new firmware now...');
                 
                 // Give device time to reboot and initialize with new firmware
                 console.log('⏳ Waiting for device to boot with new firmware...');
-                const rebootDelay = this.secureBootEnabled ? 3000 : 2000;
-                console.log(`⏱️ Reboot delay: ${rebootDelay}ms for ${this.secureBootEnabled ? 'secure boot' : 'normal'} mode`);
-                await this.delay(rebootDelay);
+                const rebootDelay = this.loader.secureBootEnabled ? 3000 : 2000;
+                console.log(`⏱️ Reboot delay: ${rebootDelay}ms for ${this.loader.secureBootEnabled ? 'secure boot' : 'normal'} mode`);
+                await this.loader.delay(rebootDelay);
                 
                 console.log('🎯 Reboot sequence completed - device should now be running new firmware');
                 
@@ -315,11 +554,13 @@ class ESP32Flasher {
             }
             
             console.log('✅ Firmware flashing completed successfully!');
-            console.log('🔍 Device should now be running new firmware v1.36.0.16433');
+            console.log(`🔍 Device should now be running new firmware ${this.selectedVersion}`);
             console.log('🔄 Device has been rebooted automatically - no manual reset needed');
             
             // Show success
             flashProgress.classList.add('hidden');
+            this.renderVerificationReport(verificationReport);
+            this.renderTransferSummary(this.loader.transferStats);
             document.getElementById('flash-success').classList.remove('hidden');
             
             this.celebrateSuccess();
@@ -339,58 +580,60 @@ class ESP32Flasher {
             // Show detailed error information
             const errorMsg = error.message || 'Unknown error occurred';
             
-            // Try to recover the device
+            // Try to recover the device, then let go of the port so a retry starts from a fresh reset
             await this.attemptDeviceRecovery();
+            await this.disconnectDevice();
+            
+            // Signature check happens before anything is written - retrying will not help
+            const untrusted = errorMsg.match(/SECURE_BOOT_UNTRUSTED_IMAGE: (.*)/);
+            if (untrusted) {
+                alert(`Flashing blocked: ${untrusted[1]}.\n\nNothing was written - the device keeps its current firmware. Use firmware signed with a key this device trusts.`);
+                return;
+            }
             
             alert(`Flashing failed: ${errorMsg}. Please try again.\n\nDevice recovery attempted. Try disconnecting and reconnecting USB if device is not responding.`);
         }
     }
 
     async loadFirmwareFiles() {
-        const config = this.firmwareConfig[this.selectedVersion];
-        if (!config) {
-            throw new Error(`Configuration for version ${this.selectedVersion} not found`);
-        }
+        const config = await this.getFirmwareConfig(this.selectedVersion);
         
         const fileArray = [];
         
+        // Partition layout comes from the firmware's own partition table, not hardcoded addresses
+        await this.loadPartitionTable(config);
+        
         // Determine OTA target if using OTA mode
         let otaTargetAddress = null;
-        if (this.useOtaUpdate) {
+        if (this.loader.useOtaUpdate) {
             console.log('🔄 OTA mode enabled - determining target partition...');
-            otaTargetAddress = await this.determineOtaSlot();
+            otaTargetAddress = await this.loader.determineOtaSlot();
         }
         
         const totalParts = config.parts.length;
-        const otaSkippedParts = this.useOtaUpdate ? config.parts.filter(p => p.skipInOta).length : 0;
+        const otaSkippedParts = this.loader.useOtaUpdate ? config.parts.filter(p => p.skipInOta).length : 0;
         const partsToFlash = totalParts - otaSkippedParts;
         
         console.log(`📥 Loading ${totalParts} firmware files...`);
-        if (this.useOtaUpdate) {
+        if (this.loader.useOtaUpdate) {
             console.log(`   🔄 OTA mode: Skipping ${otaSkippedParts} protected regions, flashing ${partsToFlash} files`);
         }
         
         for (const part of config.parts) {
             // Skip protected regions in OTA mode (bootloader, partition table, OTA data) 
-            if (this.useOtaUpdate && part.skipInOta) {
+            if (this.loader.useOtaUpdate && part.skipInOta) {
                 console.log(`  ⏭️ Skipping ${part.path} in OTA mode (${part.offset === 0 ? 'bootloader' : part.offset === 40960 ? 'partition table' : 'protected'})`);
                 continue;
             }
             
             try {
                 console.log(`  Loading: ${part.path}`);
-                const response = await fetch(part.path);
-                if (!response.ok) {
-                    throw new Error(`Failed to load ${part.path}: ${response.status}`);
-                }
+                const data = await this.fetchFirmwarePart(part);
                 
-                const arrayBuffer = await response.arrayBuffer();
-                const data = new Uint8Array(arrayBuffer);
+                // Resolve against the partition table, then modify address for OTA mode
+                let targetAddress = this.resolvePartOffset(part);
                 
-                // Modify address for OTA mode
-                let targetAddress = part.offset;
-                
-                if (this.useOtaUpdate && part.isApplication) {
+                if (this.loader.useOtaUpdate && part.isApplication) {
                     // Redirect application from factory partition to OTA partition
                     const originalAddress = part.offset;
                     targetAddress = otaTargetAddress;
@@ -398,11 +641,26 @@ class ESP32Flasher {
                     console.log(`  🔄 OTA redirect: ${part.path} from 0x${originalAddress.toString(16)} to 0x${targetAddress.toString(16)}`);
                 }
                 
+                this.checkPartitionBounds(targetAddress, data.length, part.path);
+                
+                // Bootloader and app are ESP images - refuse them if built for another chip or corrupted
+                let image = part.isApplication || part.offset === 0 ? await this.inspectImage(data, part.path) : null;
+                if (image && this.loader.secureBootEnabled) {
+                    await this.loader.checkSecureBootSignature(image, part.path);
+                }
+                
+                // The release's flash mode / frequency / size into the image header (signed images stay untouched)
+                let imageData = data;
+                if (image) {
+                    ({ data: imageData, image } = await this.applyFlashParams(data, image, config, part.path));
+                }
+                
                 fileArray.push({
-                    data: data,
+                    data: imageData,
                     address: targetAddress,
                     path: part.path,
-                    isApplication: part.isApplication || false
+                    isApplication: part.isApplication || false,
+                    image: image
                 });
                 
                 console.log(`  ✅ Loaded ${part.path} (${data.length} bytes at 0x${targetAddress.toString(16)})`);
@@ -411,2061 +669,906 @@ class ESP32Flasher {
             }
         }
         
+        this.validatePartLayout(fileArray);
+        
         console.log(`✅ All ${fileArray.length} firmware files loaded successfully`);
         return fileArray;
     }
 
-    async performInitialReset() {
-        console.log('🔧 Performing initial ESP32-S3 reset to clear any existing state...');
-        
-        try {
-            const port = this.connectedPort;
-            
-            if (typeof port.setSignals !== 'function') {
-                console.log('⚠️ Port does not support signal control - skipping initial reset');
-                return;
-            }
-            
-            // First, do a normal reboot to clear any bootloader state
-            console.log('📍 Step 1: Normal reboot to clear bootloader state...');
-            await port.setSignals({
-                dataTerminalReady: false,  // EN = LOW (reset)
-                requestToSend: true        // GPIO0 = HIGH (normal mode)
-            });
-            
-            await this.delay(100);
-            
-            await port.setSignals({
-                dataTerminalReady: true,   // EN = HIGH (run)
-                requestToSend: true        // GPIO0 = HIGH (normal mode)
-            });
-            
-            // Wait for normal firmware to start and then stabilize
-            console.log('📍 Step 2: Waiting for device to boot normally and stabilize...');
-            await this.delay(4000); // Increased from 2s to 4s for ESP32-S3 boot time
-            
-            console.log('✅ Initial reset completed - device should be in normal mode');
-            
-        } catch (error) {
-            console.log('⚠️ Initial reset failed:', error.message);
+    // Download a part and check it against the size and SHA-256 from versions.json - before anything is erased
+    async fetchFirmwarePart(part) {
+        const response = await fetch(part.path);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${part.path}: ${response.status}`);
         }
-    }
-
-    async performHardwareReset() {
-        console.log('⚡ Starting ESP32-S3 hardware reset sequence...');
         
-        try {
-            // Get the raw serial port from transport
-            const port = this.connectedPort;
-            
-            // Check if port supports signal control
-            if (typeof port.setSignals !== 'function') {
-                console.log('⚠️ Port does not support setSignals - skipping hardware reset');
-                return;
-            }
-            
-            console.log('🔧 ESP32-S3 specific reset sequence (esptool.py compatible):');
-            console.log('   DTR controls EN (enable/reset) - LOW = reset, HIGH = run');
-            console.log('   RTS controls GPIO0 (boot mode) - LOW = bootloader, HIGH = normal');
-            
-            // ESP32-S3 specific sequence: First ensure clean state  
-            console.log('📍 Step 1: Ensuring clean signal state...');
-            await port.setSignals({
-                dataTerminalReady: true,   // EN = HIGH (not reset)
-                requestToSend: true        // GPIO0 = HIGH (normal mode)
-            });
-            await this.delay(200); // Extended from 100ms to 200ms for ESP32-S3 with secure boot
-            
-            // Step 2: Assert GPIO0 (bootloader mode) BEFORE reset
-            console.log('📍 Step 2: Setting bootloader mode before reset...');
-            await port.setSignals({
-                dataTerminalReady: true,   // EN = HIGH (still running)
-                requestToSend: false       // GPIO0 = LOW (bootloader mode)
-            });
-            await this.delay(200); // Extended from 100ms - let GPIO0 settle completely
-            
-            // Step 3: Assert reset while GPIO0 is held low
-            console.log('📍 Step 3: Asserting reset while GPIO0 held low...');
-            await port.setSignals({
-                dataTerminalReady: false,  // EN = LOW (reset)
-                requestToSend: false       // GPIO0 = LOW (bootloader mode)
-            });
-            await this.delay(200); // Extended from 100ms - ensure proper reset
-            
-            // Step 4: Release reset while keeping GPIO0 low
-            console.log('📍 Step 4: Releasing reset, keeping bootloader mode...');
-            await port.setSignals({
-                dataTerminalReady: true,   // EN = HIGH (run)
-                requestToSend: false       // GPIO0 = LOW (bootloader mode)
-            });
-            await this.delay(100); // Extended from 50ms for boot detection
-            
-            // Step 5: Release GPIO0 - device should now be in bootloader
-            console.log('📍 Step 5: Releasing GPIO0, device should enter bootloader...');
-            await port.setSignals({
-                dataTerminalReady: true,   // EN = HIGH (run)
-                requestToSend: true        // GPIO0 = HIGH (release)
-            });
-            
-            await this.delay(500); // Extended from 300ms - let ESP32-S3 bootloader initialize fully
-            
-            console.log('✅ ESP32-S3 hardware reset completed - device should be in bootloader mode');
-            
-        } catch (error) {
-            console.log('⚠️ Hardware reset failed:', error.message);
-            console.log('   Device may not support DTR/RTS control');
-        }
+        const data = new Uint8Array(await response.arrayBuffer());
+        await this.checkIntegrity(part.path, data, part);
+        return data;
     }
 
-    async performExtendedReset() {
-        console.log('⚡ Starting ESP32-S3 extended timing reset sequence...');
-        
-        try {
-            const port = this.connectedPort;
-            
-            if (typeof port.setSignals !== 'function') {
-                console.log('⚠️ Port does not support setSignals - skipping extended reset');
-                return;
-            }
-            
-            console.log('🔧 Extended timing ESP32-S3 reset sequence:');
-            
-            // Extended sequence with longer delays
-            console.log('📍 Step 1: Extended clean signal state...');
-            await port.setSignals({
-                dataTerminalReady: true,   // EN = HIGH (not reset)
-                requestToSend: true        // GPIO0 = HIGH (normal mode)
-            });
-            await this.delay(500); // Much longer initial delay
-            
-            console.log('📍 Step 2: Extended bootloader mode setup...');
-            await port.setSignals({
-                dataTerminalReady: true,   // EN = HIGH (still running)
-                requestToSend: false       // GPIO0 = LOW (bootloader mode)
-            });
-            await this.delay(500); // Extended GPIO0 settle time
-            
-            console.log('📍 Step 3: Extended reset assertion...');
-            await port.setSignals({
-                dataTerminalReady: false,  // EN = LOW (reset)
-                requestToSend: false       // GPIO0 = LOW (bootloader mode)
-            });
-            await this.delay(300); // Longer reset pulse
-            
-            console.log('📍 Step 4: Extended reset release...');
-            await port.setSignals({
-                dataTerminalReady: true,   // EN = HIGH (run)
-                requestToSend: false       // GPIO0 = LOW (bootloader mode)
-            });
-            await this.delay(200); // Extended boot detection time
-            
-            console.log('📍 Step 5: Extended GPIO0 release...');
-            await port.setSignals({
-                dataTerminalReady: true,   // EN = HIGH (run)
-                requestToSend: true        // GPIO0 = HIGH (release)
-            });
-            
-            await this.delay(1000); // Extended bootloader initialization
-            
-            console.log('✅ ESP32-S3 extended reset completed');
-            
-        } catch (error) {
-            console.log('⚠️ Extended reset failed:', error.message);
+    // declared: { size, sha256 } from a (signed) versions.json entry; a file without a declared sha256 is refused
+    async checkIntegrity(path, data, declared) {
+        if (!declared || !declared.sha256) {
+            throw new Error(`Integrity check failed for ${path}: versions.json declares no SHA-256 for it`);
         }
-    }
-
-    async performAggressiveReset() {
-        console.log('⚡ Starting ESP32-S3 aggressive reset sequence...');
         
-        try {
-            const port = this.connectedPort;
-            
-            if (typeof port.setSignals !== 'function') {
-                console.log('⚠️ Port does not support setSignals - skipping aggressive reset');
-                return;
-            }
-            
-            console.log('🔧 Aggressive multi-cycle ESP32-S3 reset:');
-            
-            // Multiple reset cycles to break any stuck states
-            for (let cycle = 1; cycle <= 3; cycle++) {
-                console.log(`📍 Reset cycle ${cycle}/3...`);
-                
-                // Hard reset cycle
-                await port.setSignals({
-                    dataTerminalReady: false,  // EN = LOW (reset)
-                    requestToSend: true        // GPIO0 = HIGH (normal mode first)
-                });
-                await this.delay(100);
-                
-                await port.setSignals({
-                    dataTerminalReady: true,   // EN = HIGH (run)
-                    requestToSend: true        // GPIO0 = HIGH (normal mode)
-                });
-                await this.delay(200);
-            }
-            
-            // Final bootloader entry sequence
-            console.log('📍 Final bootloader entry sequence...');
-            await port.setSignals({
-                dataTerminalReady: true,   // EN = HIGH
-                requestToSend: false       // GPIO0 = LOW (bootloader mode)
-            });
-            await this.delay(300);
-            
-            await port.setSignals({
-                dataTerminalReady: false,  // EN = LOW (reset)
-                requestToSend: false       // GPIO0 = LOW (bootloader mode)
-            });
-            await this.delay(300);
-            
-            await port.setSignals({
-                dataTerminalReady: true,   // EN = HIGH (run)
-                requestToSend: false       // GPIO0 = LOW (bootloader mode)
-            });
-            await this.delay(150);
-            
-            await port.setSignals({
-                dataTerminalReady: true,   // EN = HIGH (run)
-                requestToSend: true        // GPIO0 = HIGH (release)
-            });
-            
-            await this.delay(800); // Extended initialization
-            
-            console.log('✅ ESP32-S3 aggressive reset completed');
-            
-        } catch (error) {
-            console.log('⚠️ Aggressive reset failed:', error.message);
+        if (declared.size !== null && declared.size !== undefined && data.length !== declared.size) {
+            throw new Error(`Integrity check failed for ${path}: got ${data.length} bytes, versions.json says ${declared.size} (stale cache or an error page served instead of the file)`);
         }
+        const digest = ESPImage.toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', data)));
+        if (digest !== declared.sha256.toLowerCase()) {
+            throw new Error(`Integrity check failed for ${path}: SHA-256 ${digest.slice(0, 16)}… does not match versions.json (${declared.sha256.slice(0, 16)}…) - the file is corrupted or was modified`);
+        }
+        
+        console.log(`  🔒 ${path}: SHA-256 matches versions.json`);
+        return true;
     }
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    // esptool's --flash_mode / --flash_freq / --flash_size: header bytes 2-3 set from the release, appended SHA-256
+    // recomputed; images with a Secure Boot signature are returned as they are (ESPImage.withFlashParams)
+    async applyFlashParams(data, image, config, path) {
+        const patched = await image.withFlashParams(config.flashMode, config.flashFreq, config.flashSize, path);
+        if (patched === data) {
+            return { data, image };
+        }
+        return { data: patched, image: await this.inspectImage(patched, path) };
     }
 
-    // Esptool.py timeout constants with dynamic timeout calculation
-    getEsptoolTimeout(operation, eraseBlocks = 1, dataSize = 0) {
-        const baseTimeouts = {
-            'DEFAULT': 3000,        // 3 seconds
-            'SYNC': 100,           // 100ms (already correct)  
-            'FLASH_DATA': 3000,    // 3 seconds base for data operations
-            'FLASH_END': 3000      // 3 seconds for completion
-        };
-        
-        // Dynamic timeout for FLASH_BEGIN based on erase blocks (like esptool.py)
-        if (operation === 'FLASH_BEGIN') {
-            // Base 10s + 2s per block (large files need more time to erase)
-            return Math.max(10000, 10000 + (eraseBlocks * 2000));
-        }
+    // Parse an ESP image and check chip, checksum and appended SHA-256
+    async inspectImage(data, path) {
+        const image = ESPImage.parse(data, path);
+        await image.verifyHash();
+        image.check(ESPLoader.ESP32S3_CHIP_ID, path);
         
-        // Dynamic timeout for FLASH_DATA based on data size (like esptool timeout_per_mb)
-        if (operation === 'FLASH_DATA') {
-            const baseTimeout = baseTimeouts['FLASH_DATA'];
-            
-            if (dataSize > 0) {
-                // Calculate timeout per MB like esptool: base + extra time for large data
-                const mbSize = dataSize / (1024 * 1024);
-                const timeoutPerMb = this.secureBootEnabled ? 15000 : 8000; // ROM loader needs more time
-                
-                const calculatedTimeout = Math.max(baseTimeout, baseTimeout + (mbSize * timeoutPerMb));
-                console.log(`📊 Dynamic FLASH_DATA timeout: ${calculatedTimeout}ms for ${dataSize} bytes (${mbSize.toFixed(2)}MB)`);
-                return calculatedTimeout;
-            }
-            
-            return baseTimeout;
+        const hashNote = image.hashValid ? 'SHA-256 ok' : 'no SHA-256';
+        console.log(`  🔎 ${path}: ${image.segmentCount} segments, ${image.flashMode} ${image.flashFreq} ${image.flashSize}, ${hashNote}`);
+        if (image.appDescriptor) {
+            const app = image.appDescriptor;
+            console.log(`     ${app.projectName} ${app.version} (ESP-IDF ${app.idfVersion}, built ${app.date} ${app.time}, secure_version ${app.secureVersion})`);
         }
         
-        return baseTimeouts[operation] || baseTimeouts['DEFAULT'];
-    }
-
-    // Calculate dynamic timeout based on file size for large transfers (esptool-style)
-    timeoutPerMb(fileSize) {
-        const mbSize = fileSize / (1024 * 1024);
-        const baseTimeout = this.secureBootEnabled ? 20000 : 10000; // ROM loader base timeout
-        const timeoutPerMb = this.secureBootEnabled ? 15000 : 8000;  // Additional per MB
-        
-        return Math.max(baseTimeout, baseTimeout + (mbSize * timeoutPerMb));
+        return image;
     }
 
-    // Adaptive chunk size based on file size and ROM loader limitations (like esptool --chunk-size)
-    getAdaptiveChunkSize(fileSize, isOtaOperation = false) {
-        // TEMPORARY DEBUG: Use small 512-byte chunks to test writer.write() stability
-        console.log(`🔧 DEBUG: Using small 512-byte chunks to isolate writer.write() hang issue`);
-        return 512;  // Small chunks until we solve the writer.write() hang
-        
-        /* ORIGINAL CODE - restore after fixing writer.write() hang:
-        const mbSize = fileSize / (1024 * 1024);
-        
-        // OTA partitions can handle larger chunks even with secure boot
-        if (isOtaOperation && this.useOtaUpdate) {
-            if (mbSize >= 3.0) {
-                return 2048; // Large OTA files: 2KB chunks
-            } else if (mbSize >= 1.0) {
-                return 4096; // Medium OTA files: 4KB chunks  
-            } else {
-                return 1024; // Small OTA files: 1KB chunks
-            }
+    async loadPartitionTable(config) {
+        const tablePart = config.parts.find(p => /partition[-_]table/.test(p.path));
+        if (!tablePart) {
+            throw new Error(`Firmware ${config.version} has no partition table part - cannot determine flash layout`);
         }
         
-        // Factory partition with secure boot needs smaller chunks
-        if (this.romOnlyMode || this.secureBootEnabled) {
-            if (mbSize >= 3.0) {
-                return 256; // Very large files: 256 bytes (like esptool for problematic transfers)
-            } else if (mbSize >= 1.5) {
-                return 384; // Large files: 384 bytes
-            } else {
-                return 512; // Normal files: 512 bytes
-            }
-        } else {
-            // Stub loader can handle larger chunks
-            if (mbSize >= 2.0) {
-                return 512; // Large files: 512 bytes
-            } else {
-                return 1024; // Normal files: 1024 bytes
-            }
+        const table = this.loader.setPartitionTable(ESPLoader.parsePartitionTable(await this.fetchFirmwarePart(tablePart)));
+        
+        console.log(`🗂️ Partition table (${table.entries.length} entries):`);
+        for (const p of table.entries) {
+            console.log(`   ${p.label.padEnd(10)} ${p.typeName}/${p.subtypeName} at 0x${p.offset.toString(16)} (${p.size} bytes)`);
         }
-        */
+        
+        return table;
     }
 
-    // ROM loader stability delays to prevent bootloader overload (esptool-style power management)
-    getRomStabilityDelay(fileSize, sequence, chunkSize) {
-        const mbSize = fileSize / (1024 * 1024);
-        
-        // No delays needed for stub loader
-        if (!this.romOnlyMode && !this.secureBootEnabled) {
-            return 0;
+    // Map a firmware part onto the partition it belongs to (phy_init_data.bin -> phy, assets.bin -> "assets", ...)
+    resolvePartOffset(part) {
+        if (!this.loader.partitionTable) {
+            return part.offset;
         }
         
-        // Progressive delays for ROM loader based on file size and sequence
-        const dataTransferred = sequence * chunkSize;
-        const kbTransferred = dataTransferred / 1024;
+        const baseName = part.path.split('/').pop().replace(/\.bin$/, '');
+        let partition = null;
         
-        // Large files need more frequent stability breaks
-        if (mbSize >= 3.0) {
-            // Very large files (3MB+): Pause every 10KB for 20ms
-            if (sequence % Math.ceil(10240 / chunkSize) === 0) {
-                return 20;
-            }
-        } else if (mbSize >= 1.5) {
-            // Large files (1.5MB+): Pause every 25KB for 15ms  
-            if (sequence % Math.ceil(25600 / chunkSize) === 0) {
-                return 15;
-            }
+        if (part.isApplication) {
+            partition = this.loader.findPartition(0x00, 0x00);
+        } else if (baseName === 'phy_init_data') {
+            partition = this.loader.findPartition(0x01, 0x01);
+        } else if (baseName === 'ota_data_initial') {
+            partition = this.loader.findPartition(0x01, 0x00);
         } else {
-            // Normal files: Pause every 50KB for 10ms
-            if (sequence % Math.ceil(51200 / chunkSize) === 0) {
-                return 10;
-            }
+            partition = this.loader.partitionTable.entries.find(p => p.label === baseName) || null;
         }
         
-        // Additional stability break every 1MB for very large files
-        if (mbSize >= 2.0 && sequence % Math.ceil(1048576 / chunkSize) === 0) {
-            console.log(`🔄 ROM stability break: ${(kbTransferred / 1024).toFixed(1)}MB transferred`);
-            return 100; // Longer pause every MB
+        if (!partition) {
+            return part.offset;
         }
         
-        return 0;
-    }
-
-    // Progressive retry strategy for FLASH_DATA failures
-    async handleFlashDataRetry(attemptNumber, totalFileSize, sequence) {
-        const mbSize = totalFileSize / (1024 * 1024);
-        
-        // Strategy based on attempt number and file size
-        switch (attemptNumber) {
-            case 0: // First retry: Simple delay
-                const simpleDelay = mbSize >= 2.0 ? 1000 : 500;
-                console.log(`📍 Retry strategy 1: Simple delay (${simpleDelay}ms)`);
-                await this.delay(simpleDelay);
-                break;
-                
-            case 1: // Second retry: Bootloader health check + longer delay
-                console.log(`📍 Retry strategy 2: Bootloader health check + extended delay`);
-                try {
-                    // Quick SYNC to check if bootloader is still responsive
-                    await this.esp32QuickSync();
-                    console.log(`✅ Bootloader still responsive`);
-                } catch (syncError) {
-                    console.log(`⚠️ Bootloader unresponsive, continuing with extended delay`);
-                }
-                
-                const extendedDelay = mbSize >= 2.0 ? 2000 : 1000;
-                await this.delay(extendedDelay);
-                break;
-                
-            default: // Final retry: Maximum delay  
-                console.log(`📍 Retry strategy 3: Maximum delay + power management`);
-                const maxDelay = mbSize >= 3.0 ? 3000 : 2000;
-                await this.delay(maxDelay);
-                break;
+        if (partition.offset !== part.offset) {
+            console.log(`  🗂️ ${part.path}: manifest offset 0x${part.offset.toString(16)} differs from partition "${partition.label}" at 0x${partition.offset.toString(16)} - using partition table`);
         }
+        return partition.offset;
     }
 
-    // Quick bootloader recovery for failed FLASH_DATA operations
-    async quickBootloaderRecovery() {
-        console.log(`🔧 Attempting quick bootloader recovery...`);
-        
-        // Step 1: Try to re-sync with bootloader
-        try {
-            await this.esp32Sync();
-            console.log(`✅ Bootloader SYNC recovered`);
+    // Anything written past the partition table must fit inside a partition
+    checkPartitionBounds(address, size, path) {
+        if (!this.loader.partitionTable) {
             return;
-        } catch (syncError) {
-            console.log(`⚠️ SYNC recovery failed, trying configuration restore...`);
         }
         
-        // Step 2: Configuration is now hardcoded - no re-detection needed
-        console.log(`✅ Secure boot configuration is hardcoded - no restore needed`);
+        const firstPartition = Math.min(...this.loader.partitionTable.entries.map(p => p.offset));
+        if (address < firstPartition) {
+            return; // Bootloader / partition table region
+        }
         
-        // Step 3: Short stabilization delay
-        await this.delay(1000);
-        console.log(`✅ Quick bootloader recovery completed`);
+        const partition = this.loader.partitionTable.entries.find(p => address >= p.offset && address < p.offset + p.size);
+        if (!partition) {
+            throw new Error(`${path} at 0x${address.toString(16)} does not fall inside any partition`);
+        }
+        if (address + size > partition.offset + partition.size) {
+            throw new Error(`${path} (${size} bytes) does not fit in partition "${partition.label}" (${partition.size} bytes at 0x${partition.offset.toString(16)})`);
+        }
     }
 
-    // Verify bootloader state to detect silent flash write failures
-    async verifyBootloaderFlashState() {
-        console.log('🔍 Checking bootloader flash operation state...');
+    async attemptDeviceRecovery() {
+        console.log('🔧 Attempting device recovery...');
         
-        try {
-            // Test 1: Bootloader memory consistency
-            console.log('📍 Test 1: Bootloader memory consistency check...');
-            const memTest1 = await this.esp32ReadReg(0x60007000); // Base efuse register
-            const memTest2 = await this.esp32ReadReg(0x60007048); // Efuse memory integrity test
-            
-            if (!memTest1 || !memTest2) {
-                console.log('❌ Memory consistency check failed - bootloader may be corrupted');
-                return false;
-            }
-            
-            // Test 2: Flash controller state (indirect check)
-            console.log('📍 Test 2: Flash controller accessibility...');
-            try {
-                // Try to access flash-related efuse registers
-                const flashTest = await this.esp32ReadReg(0x60007020); // Flash-related efuse
-                console.log('✅ Flash controller registers accessible');
-            } catch (flashError) {
-                console.log('⚠️ Flash controller access degraded - possible flash operation issues');
-                // Don't fail here - this could be normal
-            }
-            
-            // Test 3: Bootloader responsiveness under load
-            console.log('📍 Test 3: Bootloader responsiveness test...');
-            const startTime = Date.now();
-            
-            for (let i = 0; i < 3; i++) {
-                const testReg = await this.esp32ReadReg(0x60007000);
-                if (!testReg) {
-                    console.log(`❌ Responsiveness test failed at iteration ${i + 1}`);
-                    return false;
-                }
-                await this.delay(10); // Small delay between tests
-            }
-            
-            const responseTime = Date.now() - startTime;
-            console.log(`✅ Bootloader responsiveness: ${responseTime}ms for 3 operations`);
-            
-            // If response time is unusually high, bootloader may be struggling
-            if (responseTime > 5000) { // 5 seconds for 3 simple operations is too slow
-                console.log('⚠️ Bootloader response time unusually slow - may indicate flash corruption');
-                return false;
-            }
-            
-            console.log('✅ All bootloader state tests passed');
-            return true;
-            
-        } catch (error) {
-            console.log('❌ Bootloader state verification failed:', error.message);
-            return false;
-        }
-    }
-
-    // Secure boot error detection and handling
-    isSecureBootBlockingError(statusCode) {
-        // Known ESP32-S3 secure boot error codes
-        const secureBootErrors = [
-            0x0106, // Operation or feature not supported (01060000 in 32-bit)
-            0x0105, // Invalid argument
-            0x0103, // Invalid state 
-            0x0108, // Not supported
-            0x010A  // Not allowed
-        ];
-        
-        return secureBootErrors.includes(statusCode);
-    }
-
-    getSecureBootErrorMessage(statusCode) {
-        switch (statusCode) {
-            case 0x0106:
-                return "Operation not supported - secure boot may be blocking this flash region";
-            case 0x0105:
-                return "Invalid argument - secure boot rejected the flash parameters";
-            case 0x0103:
-                return "Invalid state - device not in correct mode for secure boot flashing";
-            case 0x0108:
-                return "Not supported - command blocked by secure boot policy";
-            case 0x010A:
-                return "Not allowed - secure boot prevents modification of this region";
-            default:
-                return "Unknown secure boot error";
-        }
-    }
-
-    validateSecureBootResponse(cmd, result, responseSize) {
-        const startTime = Date.now();
-        
-        // Command-specific validation for secure boot devices
-        switch (cmd) {
-            case 0x02: // FLASH_BEGIN
-                this.validateFlashBeginResponse(result, responseSize, startTime);
-                break;
-            case 0x03: // FLASH_DATA  
-                this.validateFlashDataResponse(result, responseSize, startTime);
-                break;
-            case 0x04: // FLASH_END
-                this.validateFlashEndResponse(result, responseSize, startTime);
-                break;
-        }
-    }
-
-    validateFlashBeginResponse(result, responseSize, startTime) {
-        // FLASH_BEGIN should not complete too quickly for large erase operations
-        const responseTime = Date.now() - startTime;
-        
-        if (responseTime < 100) {
-            console.log(`⚠️ FLASH_BEGIN completed very quickly (${responseTime}ms) - potential silent failure`);
-            console.log(`💡 This may indicate secure boot blocked the erase operation but reported success`);
+        if (!this.loader) {
+            return; // Never got as far as opening the port
         }
         
-        // Validate response has expected structure for FLASH_BEGIN
-        if (responseSize === 0) {
-            console.log(`✅ FLASH_BEGIN response validated: ${responseTime}ms`);
-        } else {
-            console.log(`⚠️ FLASH_BEGIN returned unexpected data size: ${responseSize} bytes`);
-        }
-    }
-
-    validateFlashDataResponse(result, responseSize, startTime) {
-        const responseTime = Date.now() - startTime;
-        
-        // FLASH_DATA responses should be minimal for successful writes
-        if (responseSize > 8) {
-            console.log(`⚠️ FLASH_DATA returned unexpected large response: ${responseSize} bytes`);
+        try {
+            console.log('🔄 Trying hardware reset recovery...');
+            await this.loader.performHardwareReset();
+        } catch (e) {
+            console.log('⚠️ Hardware reset recovery failed:', e.message);
         }
         
-        // Extremely fast responses may indicate writes were ignored
-        if (responseTime < 10) {
-            console.log(`⚠️ FLASH_DATA completed very quickly (${responseTime}ms) - possible silent failure`);
-        }
+        console.log('🔧 Device recovery attempt completed');
     }
 
-    validateFlashEndResponse(result, responseSize, startTime) {
-        const responseTime = Date.now() - startTime;
-        
-        // FLASH_END should complete reasonably quickly but not instantly
-        if (responseTime < 50) {
-            console.log(`⚠️ FLASH_END completed very quickly (${responseTime}ms) - potential issue`);
-        }
+    updateConnectionSuccess() {
+        const connectButton = document.getElementById('connect-button');
+        connectButton.innerHTML = '✅ Device Connected!';
+        connectButton.style.background = 'var(--success-green)';
         
-        console.log(`✅ FLASH_END response validated: ${responseTime}ms`);
+        // Add success animation
+        connectButton.style.transform = 'scale(1.05)';
+        setTimeout(() => {
+            connectButton.style.transform = 'scale(1)';
+        }, 200);
     }
 
-    // Enhanced retry strategy for secure boot devices
-    async handleSecureBootFlashRetry(attemptNumber, fileSize, fileAddress) {
-        console.log(`🔐 Secure boot retry strategy ${attemptNumber + 1}:`);
+    updateConnectionError() {
+        const connectButton = document.getElementById('connect-button');
+        connectButton.innerHTML = '<span class="button-text">Connect Device</span>';
+        connectButton.disabled = false;
         
-        switch (attemptNumber) {
-            case 0: // First retry: Extended delay + sync check
-                console.log(`   📍 Strategy 1: Extended delay + bootloader sync validation`);
-                await this.delay(2000); // Longer delay for secure boot
-                
-                try {
-                    await this.esp32Sync();
-                    console.log(`   ✅ Bootloader sync successful`);
-                } catch (syncError) {
-                    console.log(`   ⚠️ Bootloader sync failed, continuing anyway`);
-                }
-                break;
-                
-            case 1: // Second retry: Alternative parameters + longer delay
-                console.log(`   📍 Strategy 2: Alternative secure boot parameters + extended delay`);
-                console.log(`   💡 Attempting with modified secure boot parameters`);
-                
-                // Store original encrypted mode preference
-                const originalSecureBoot = this.secureBootEnabled;
-                
-                // Try with standard parameters if we were using encrypted mode
-                // (This is experimental - some secure boot configs might work with standard params)
-                if (this.secureBootEnabled) {
-                    console.log(`   🧪 Experimental: Temporarily trying standard flash parameters`);
-                    this.secureBootEnabled = false;
-                }
-                
-                await this.delay(3000);
-                
-                // Restore original setting for consistency
-                this.secureBootEnabled = originalSecureBoot;
-                break;
-                
-            case 2: // Final retry: Maximum compatibility mode
-                console.log(`   📍 Strategy 3: Maximum compatibility mode + maximum delay`);
-                console.log(`   🚨 Final attempt with maximum secure boot compatibility`);
-                
-                // Longer delay for final attempt
-                await this.delay(5000);
-                
-                // Additional sync attempt with longer timeout
-                try {
-                    await this.esp32Sync();
-                    console.log(`   ✅ Final sync successful - device ready for last attempt`);
-                } catch (syncError) {
-                    console.log(`   ⚠️ Final sync failed: ${syncError.message}`);
-                    console.log(`   🎯 Proceeding with final flash attempt anyway`);
-                }
-                break;
-                
-            default:
-                console.log(`   📍 Strategy ${attemptNumber + 1}: Basic delay`);
-                await this.delay(1000);
-                break;
-        }
+        // Show error feedback
+        connectButton.style.background = 'var(--error-red)';
+        setTimeout(() => {
+            connectButton.style.background = '';
+        }, 2000);
     }
 
-    // OTA Partition Management for Secure Boot Compatibility
-    async determineOtaSlot() {
-        console.log('🔄 Determining OTA partition for secure boot update...');
-        
-        // Since READ_REG cannot read flash memory (we learned this!), 
-        // we'll use a simple alternating strategy for OTA updates
-        this.activeOtaSlot = null;  // Unknown - assume factory partition currently active
-        this.targetOtaSlot = 0;     // Always use ota_0 for updates (simplest approach)
-        
-        const targetAddress = this.otaConfig.ota0Partition;
+    selectVersion(selectedCard) {
+        // Remove selection from all cards
+        document.querySelectorAll('.version-card').forEach(card => {
+            card.classList.remove('selected');
+        });
         
-        console.log('📍 OTA Strategy: Simple ota_0 targeting (READ_REG cannot read flash memory)');
-        console.log(`🎯 Target OTA partition: ota_0 at 0x${targetAddress.toString(16)}`);
-        console.log(`💡 After successful flash, device will boot from ota_0 instead of factory`);
+        // Add selection to clicked card
+        selectedCard.classList.add('selected');
         
-        return targetAddress;
-    }
-
-    getOtaTargetAddress() {
-        if (this.targetOtaSlot === null) {
-            throw new Error('OTA slot not determined - call determineOtaSlot() first');
-        }
+        // Update selected version
+        this.selectedVersion = selectedCard.dataset.version;
+        console.log('Selected version:', this.selectedVersion);
         
-        return this.targetOtaSlot === 0 
-            ? this.otaConfig.ota0Partition 
-            : this.otaConfig.ota1Partition;
+        this.checkFlashSize();
     }
 
-    async updateOtaDataPartition() {
-        console.log('📋 Updating OTA data partition to mark new firmware as bootable...');
+    async proceedToFlashing() {
+        this.useLocalFiles = false;
         
-        if (this.targetOtaSlot === null) {
-            throw new Error('Cannot update OTA data - target slot not determined');
+        // Update summary with the version embedded in the application image, not just the versions.json name
+        const versionInfo = this.versions.versions.find(v => v.version === this.selectedVersion);
+        const selectedVersion = document.getElementById('selected-version');
+        const buildSummary = document.getElementById('app-build-summary');
+        if (versionInfo) {
+            selectedVersion.textContent = versionInfo.name;
         }
-        
-        // Create OTA data structure to mark target slot as active
-        const otaData = this.createOtaDataStructure();
-        
-        console.log(`💾 Writing OTA data to mark slot ${this.targetOtaSlot} as bootable...`);
+        buildSummary.classList.add('hidden');
         
         try {
-            // Flash the OTA data to the OTA data partition
-            await this.esp32FlashBegin(otaData.length, this.otaConfig.otaDataPartition);
-            console.log(`📍 OTA data partition prepared at 0x${this.otaConfig.otaDataPartition.toString(16)}`);
-            
-            // Write OTA data in chunks
-            const chunkSize = 1024;
-            let sequence = 0;
-            
-            for (let offset = 0; offset < otaData.length; offset += chunkSize) {
-                const chunk = otaData.slice(offset, offset + chunkSize);
-                await this.esp32FlashData(chunk, sequence, otaData.length);
-                sequence++;
+            const config = await this.getFirmwareConfig(this.selectedVersion);
+            const appPart = config.parts.find(p => p.isApplication);
+            const image = await this.inspectImage(await this.fetchFirmwarePart(appPart), appPart.path);
+            const app = image.appDescriptor;
+            if (app) {
+                selectedVersion.textContent = `${app.projectName} ${app.version}`;
+                document.getElementById('app-build-info').textContent =
+                    `ESP-IDF ${app.idfVersion}, built ${app.date} ${app.time}, secure_version ${app.secureVersion}`;
+                buildSummary.classList.remove('hidden');
             }
-            
-            // End the flash operation
-            await this.esp32FlashEnd(false); // Don't reboot yet
-            
-            console.log(`✅ OTA data partition updated - device will boot from slot ${this.targetOtaSlot} on next restart`);
         } catch (error) {
-            console.log('❌ Failed to update OTA data partition:', error.message);
-            throw new Error(`OTA data update failed: ${error.message}`);
+            console.error('❌ Firmware image check failed:', error);
+            alert(`This firmware cannot be flashed: ${error.message}`);
+            return;
         }
-    }
-
-    createOtaDataStructure() {
-        // OTA data partition structure: two 4KB sectors for redundancy
-        // Each sector contains slot entries (32 bytes each)
-        
-        const otaDataSize = 8192; // 8KB total (2 x 4KB sectors)
-        const otaData = new Uint8Array(otaDataSize);
-        
-        // Fill with 0xFF initially (erased state)
-        otaData.fill(0xFF);
-        
-        // Create OTA slot entry for target slot
-        const slotOffset = this.targetOtaSlot * 32;
-        
-        // OTA slot entry structure (32 bytes):
-        // 0-3: sequence number (incremented for each update)  
-        // 4-7: CRC32 (simplified - use sequence number)
-        // 8-11: offset (partition address)
-        // 12-15: size (firmware size - use max size)
-        // 16-31: reserved (0xFF)
-        
-        const view = new DataView(otaData.buffer);
-        const sequenceNumber = 1; // Simple sequence for first OTA
-        const targetAddress = this.getOtaTargetAddress();
-        
-        // Write to first sector
-        view.setUint32(slotOffset, sequenceNumber, true);       // sequence
-        view.setUint32(slotOffset + 4, sequenceNumber, true);   // CRC (simplified)
-        view.setUint32(slotOffset + 8, targetAddress, true);    // partition offset
-        view.setUint32(slotOffset + 12, this.otaConfig.maxOtaSize, true); // max size
-        
-        // Copy to second sector for redundancy (offset by 4KB)
-        const sector2Offset = 4096 + slotOffset;
-        view.setUint32(sector2Offset, sequenceNumber, true);
-        view.setUint32(sector2Offset + 4, sequenceNumber, true);
-        view.setUint32(sector2Offset + 8, targetAddress, true);
-        view.setUint32(sector2Offset + 12, this.otaConfig.maxOtaSize, true);
         
-        console.log(`📋 Created OTA data structure: slot ${this.targetOtaSlot}, seq ${sequenceNumber}, addr 0x${targetAddress.toString(16)}`);
-        
-        return otaData;
+        // Advance to step 3
+        this.advanceToStep(3);
     }
 
-    // ESP32 Serial Protocol Implementation
-    slipEncode(data) {
-        const encoded = [];
-        encoded.push(0xC0); // SLIP frame start
+    updateFlashProgress(written, total, path = null, state = null) {
+        const percent = total > 0 ? Math.min(100, (written / total) * 100) : 0;
+        document.getElementById('flash-progress-fill').style.width = `${percent}%`;
+        
+        const detail = `${(written / 1024).toFixed(0)} / ${(total / 1024).toFixed(0)} KB (${percent.toFixed(0)}%)`;
+        const label = path && state === 'unchanged' ? `${path} unchanged, skipped` : path;
+        document.getElementById('flash-progress-text').textContent = label ? `${label} - ${detail}` : detail;
+    }
+
+    renderDeviceInfo(chipInfo) {
+        const describe = enabled => enabled === null ? 'Unknown' : enabled ? 'Enabled' : 'Disabled';
+        const revision = chipInfo.revision ? ` (revision v${chipInfo.revision.major}.${chipInfo.revision.minor})` : '';
+        const flash = chipInfo.flashId !== null
+            ? `JEDEC ID 0x${chipInfo.flashId.toString(16).padStart(6, '0')}${chipInfo.flashSize ? `, ${chipInfo.flashSize / (1024 * 1024)}MB` : ', size unknown'}`
+            : 'Unknown';
+        const rows = [
+            ['Chip', `${chipInfo.chip}${revision}`],
+            ['MAC address', chipInfo.mac || 'Unknown'],
+            ['Crystal', `${chipInfo.crystalMHz}MHz`],
+            ['Flash', flash],
+            ['Secure boot', describe(chipInfo.secureBoot)],
+            ['Flash encryption', describe(chipInfo.flashEncryption)],
+            ['Secure download mode', describe(chipInfo.secureDownload)],
+            ['Update method', this.loader.useOtaUpdate ? 'OTA update of the application' : 'Full factory flash']
+        ];
         
-        for (const byte of data) {
-            if (byte === 0xDB) {
-                encoded.push(0xDB, 0xDD);
-            } else if (byte === 0xC0) {
-                encoded.push(0xDB, 0xDC);
-            } else {
-                encoded.push(byte);
-            }
+        const details = document.getElementById('device-details');
+        details.innerHTML = '';
+        for (const [label, value] of rows) {
+            const item = document.createElement('div');
+            item.className = 'summary-item';
+            const name = document.createElement('strong');
+            name.textContent = `${label}:`;
+            const text = document.createElement('span');
+            text.textContent = value;
+            item.appendChild(name);
+            item.appendChild(text);
+            details.appendChild(item);
+        }
+        details.classList.remove('hidden');
+        
+        // eFuses are read with READ_REG, which secure download mode refuses
+        document.getElementById('efuse-panel').classList.remove('hidden');
+        document.getElementById('efuse-read-button').disabled = chipInfo.secureDownload === true;
+        document.getElementById('efuse-status').textContent = chipInfo.secureDownload === true
+            ? 'This device is in secure download mode, which does not allow eFuses to be read.'
+            : '';
+        
+        // Developer mode writes raw offsets - never offered on secure boot (customer) devices
+        document.getElementById('local-files-panel').classList.toggle('hidden', chipInfo.secureBoot !== false);
+    }
+
+    async handleReadEfuses() {
+        const readButton = document.getElementById('efuse-read-button');
+        const status = document.getElementById('efuse-status');
+        if (!this.loader) {
+            status.textContent = 'Connect a device first.';
+            return;
         }
         
-        encoded.push(0xC0); // SLIP frame end
-        return new Uint8Array(encoded);
+        readButton.disabled = true;
+        status.textContent = 'Reading eFuses...';
+        
+        try {
+            this.efuseReport = { ...(await this.loader.readEfuses()), readAt: new Date().toISOString() };
+            this.renderEfuseReport(this.efuseReport);
+            status.textContent = `Read at ${new Date(this.efuseReport.readAt).toLocaleString()}`;
+            document.getElementById('efuse-export-button').disabled = false;
+        } catch (error) {
+            console.error('eFuse read failed:', error);
+            status.textContent = `Could not read eFuses: ${error.message}`;
+        } finally {
+            readButton.disabled = false;
+        }
     }
 
-    slipDecode(data) {
-        const decoded = [];
-        let escaped = false;
-        
-        for (const byte of data) {
-            if (byte === 0xC0) {
-                continue; // Skip frame markers
-            } else if (byte === 0xDB) {
-                escaped = true;
-            } else if (escaped) {
-                if (byte === 0xDC) {
-                    decoded.push(0xC0);
-                } else if (byte === 0xDD) {
-                    decoded.push(0xDB);
-                } else {
-                    decoded.push(byte);
-                }
-                escaped = false;
-            } else {
-                decoded.push(byte);
-            }
-        }
+    renderEfuseReport(report) {
+        const body = document.getElementById('efuse-table-body');
+        body.innerHTML = '';
         
-        const result = new Uint8Array(decoded);
-        
-        // Parse ESP32 response format: direction(1), cmd(1), size(2), checksum(4), data(...), status_bytes(2)
-        if (result.length >= 8) {
-            const direction = result[0];
-            const cmd = result[1];
-            const size = result[2] | (result[3] << 8);
-            const checksum = result[4] | (result[5] << 8) | (result[6] << 16) | (result[7] << 24);
-            
-            if (direction === 0x01 && result.length >= 8 + size + 2) { // Response direction + status bytes
-                const responseData = result.slice(8, 8 + size);
-                // Status bytes are the LAST 2 bytes (esptool.py format)
-                const statusByte1 = result[result.length - 2];
-                const statusByte2 = result[result.length - 1];
-                
-                // First status byte determines success (0) or failure (non-zero)
-                if (statusByte1 !== 0) {
-                    const status16 = statusByte1 | (statusByte2 << 8);
-                    const statusHex = `0x${statusByte1.toString(16).padStart(2, '0')}${statusByte2.toString(16).padStart(2, '0')}`;
-                    
-                    // Check for specific secure boot error codes
-                    if (this.isSecureBootBlockingError(status16)) {
-                        throw new Error(`SECURE_BOOT_BLOCKED: ${this.getSecureBootErrorMessage(status16)} (${statusHex})`);
-                    }
-                    
-                    throw new Error(`ESP32 command failed with status: ${statusHex}`);
-                }
-                
-                // Enhanced validation for secure boot devices
-                if (this.secureBootEnabled) {
-                    this.validateSecureBootResponse(cmd, result, size);
-                }
-                
-                return result; // Success - return full response
+        const addHeading = text => {
+            const row = document.createElement('tr');
+            const cell = document.createElement('th');
+            cell.colSpan = 3;
+            cell.textContent = text;
+            row.appendChild(cell);
+            body.appendChild(row);
+        };
+        const addRow = (name, value, description = '') => {
+            const row = document.createElement('tr');
+            for (const text of [name, value, description]) {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
             }
-        }
+            body.appendChild(row);
+        };
+        const yesNo = value => value ? 'Yes' : 'No';
         
-        return result;
-    }
-
-    calculateChecksum(data) {
-        let checksum = 0xEF;
-        for (const byte of data) {
-            checksum ^= byte;
-        }
-        return checksum;
-    }
-
-    createCommand(cmd, data = new Uint8Array(0)) {
-        const packet = new Uint8Array(8 + data.length);
-        const view = new DataView(packet.buffer);
+        addHeading('Summary');
+        addRow('Secure boot', yesNo(report.summary.secureBoot));
+        addRow('Revoked key digests', report.summary.revokedDigests.length > 0 ? report.summary.revokedDigests.join(', ') : 'None');
+        addRow('Flash encryption', yesNo(report.summary.flashEncryption));
+        addRow('JTAG disabled', yesNo(report.summary.jtagDisabled));
+        addRow('USB JTAG disabled', yesNo(report.summary.usbJtagDisabled));
+        addRow('Download mode', report.summary.downloadMode);
+        addRow('Anti-rollback secure version', String(report.summary.secureVersion));
         
-        // Command packet structure
-        view.setUint8(0, 0x00);           // Direction (request)
-        view.setUint8(1, cmd);            // Command
-        view.setUint16(2, data.length, true); // Size (little endian)
-        view.setUint32(4, this.calculateChecksum(data), true); // Checksum
+        addHeading('Key blocks');
+        for (const key of report.keys) {
+            const contents = key.readProtected ? 'read-protected' : key.empty ? 'empty' : key.digest || 'programmed';
+            addRow(key.block, key.purpose, contents);
+        }
         
-        // Copy data
-        if (data.length > 0) {
-            packet.set(data, 8);
+        addHeading('BLOCK0 fields');
+        for (const [name, field] of Object.entries(report.fields)) {
+            const value = field.bits > 1 ? `${field.value} (0x${field.value.toString(16)})` : String(field.value);
+            addRow(name, value, field.description);
         }
         
-        return this.slipEncode(packet);
+        document.getElementById('efuse-table').classList.remove('hidden');
     }
 
-    createCommandWithCustomChecksum(cmd, data = new Uint8Array(0), checksumData = null) {
-        const packet = new Uint8Array(8 + data.length);
-        const view = new DataView(packet.buffer);
-        
-        // Command packet structure
-        view.setUint8(0, 0x00);           // Direction (request)
-        view.setUint8(1, cmd);            // Command
-        view.setUint16(2, data.length, true); // Size (little endian)
-        
-        // Use custom data for checksum calculation if provided, otherwise use full data
-        const dataForChecksum = checksumData || data;
-        const calculatedChecksum = this.calculateChecksum(dataForChecksum);
-        view.setUint32(4, calculatedChecksum, true); // Checksum
-        
-        // DEBUG: Log checksum fix is active
-        if (cmd === 0x03 && checksumData) {
-            console.log(`🔧 CHECKSUM FIX ACTIVE: Using custom checksum 0x${calculatedChecksum.toString(16)} for ${checksumData.length} bytes (not ${data.length} bytes)`);
+    // Download the last eFuse read as JSON (raw block words as hex, plus the decoded fields)
+    exportEfuses() {
+        if (!this.efuseReport) {
+            return;
         }
         
-        // Copy data
-        if (data.length > 0) {
-            packet.set(data, 8);
+        const blocks = {};
+        for (const [name, words] of Object.entries(this.efuseReport.blocks)) {
+            blocks[name] = words.map(word => `0x${word.toString(16).padStart(8, '0')}`);
         }
+        const json = JSON.stringify({ ...this.efuseReport, blocks }, null, 2);
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        link.download = `efuse-${(this.efuseReport.mac || 'esp32s3').replace(/:/g, '')}.json`;
+        link.click();
         
-        return this.slipEncode(packet);
+        // The download reads the blob after click() returns - revoking right away can cancel it
+        setTimeout(() => URL.revokeObjectURL(link.href), 60000);
     }
 
-    // Lightweight SYNC check for inter-file communication
-    async esp32QuickSync() {
-        // Single quick SYNC attempt for inter-file transitions
-        const syncData = new Uint8Array(36);
-        syncData[0] = 0x07;
-        syncData[1] = 0x07;
-        syncData[2] = 0x12;
-        syncData[3] = 0x20;
-        for (let i = 4; i < 36; i++) {
-            syncData[i] = 0x55;
-        }
-        
-        const syncCommand = this.createCommand(0x08, syncData);
-        
-        // Just one quick attempt with short timeout
-        await this.writer.write(syncCommand);
+    // Developer mode: read dropped files and prefill offsets from known part names. Errors go to the panel, not an
+    // unhandled rejection from the drop or change handler
+    async addLocalFiles(fileList) {
         try {
-            const response = await this.readResponse(200); // 200ms timeout
-            return true; // Success
+            await this.readLocalFiles(fileList);
         } catch (error) {
-            return false; // Failed - need recovery
+            console.error('❌ Local file rejected:', error);
+            document.getElementById('local-files-status').textContent = error.message;
         }
     }
 
-    async esp32Sync() {
-        console.log('📡 Sending ESP32 SYNC command (esptool-style)...');
+    async readLocalFiles(fileList) {
+        const knownOffsets = await this.getKnownOffsets();
         
-        // SYNC command payload: 0x07 0x07 0x12 0x20 + 32 bytes of 0x55 (matches esptool.py)
-        const syncData = new Uint8Array(36);
-        syncData[0] = 0x07;
-        syncData[1] = 0x07;
-        syncData[2] = 0x12;
-        syncData[3] = 0x20;
-        for (let i = 4; i < 36; i++) {
-            syncData[i] = 0x55;
-        }
-        
-        const syncCommand = this.createCommand(0x08, syncData);
-        
-        // Esptool-style SYNC: 7 sync attempts × 5 connection cycles = 35 total attempts
-        // Short timeout (100ms) with more attempts for faster connection
-        for (let connectionCycle = 0; connectionCycle < 5; connectionCycle++) {
-            console.log(`🔄 Connection cycle ${connectionCycle + 1}/5`);
-            
-            for (let syncAttempt = 0; syncAttempt < 7; syncAttempt++) {
-                console.log(`   SYNC ${syncAttempt + 1}/7`);
-                await this.writer.write(syncCommand);
-                
-                try {
-                    const response = await this.readResponse(100); // 100ms timeout (matches esptool)
-                    if (response) {
-                        console.log('✅ ESP32 SYNC successful');
-                        
-                        return true;
-                    }
-                } catch (error) {
-                    // Fast timeout is expected, continue to next attempt
-                }
-                
-                await this.delay(50); // Short delay between sync attempts
+        for (const file of Array.from(fileList)) {
+            if (/\.zip$/i.test(file.name)) {
+                await this.importBundleSafely(new Uint8Array(await file.arrayBuffer()), file.name);
+                return;
+            }
+            if (!/\.bin$/i.test(file.name)) {
+                console.log(`⏭️ Ignoring ${file.name} - not a .bin file`);
+                continue;
             }
             
-            // Longer delay between connection cycles
-            if (connectionCycle < 4) {
-                console.log('   Connection cycle failed, trying device reset...');
-                await this.delay(500);
-                
-                // Try hardware reset between cycles for better reliability
-                try {
-                    await this.performHardwareReset();
-                    await this.delay(200);
-                } catch (error) {
-                    console.log('   Hardware reset failed, continuing...');
-                }
+            const data = new Uint8Array(await file.arrayBuffer());
+            const mergedParts = MergedImage.split(data, file.name);
+            if (mergedParts) {
+                // Like a bundle, a merged image is a complete set
+                this.localFiles = mergedParts;
+                this.renderLocalFiles();
+                document.getElementById('local-files-status').textContent =
+                    `${file.name} is a merged image - split into ${mergedParts.length} parts along its partition table`;
+                return;
             }
+            
+            const offset = knownOffsets[file.name];
+            // Dropping a file with the same name again replaces it (fresh build)
+            this.localFiles = this.localFiles.filter(f => f.name !== file.name);
+            this.localFiles.push({ name: file.name, data: data, offsetText: offset !== undefined ? `0x${offset.toString(16)}` : '' });
+            console.log(`📎 Local file ${file.name}: ${data.length} bytes${offset !== undefined ? ` at 0x${offset.toString(16)}` : ''}`);
         }
         
-        throw new Error('ESP32 SYNC failed after 35 attempts (5 cycles × 7 sync attempts)');
+        this.renderLocalFiles();
     }
 
-
-    async esp32ReadReg(address) {
-        console.log(`📥 Reading register 0x${address.toString(16)}`);
-        
-        // READ_REG command (0x0A) with 32-bit address
-        const data = new Uint8Array(4);
-        const view = new DataView(data.buffer);
-        view.setUint32(0, address, true); // little-endian
-        
-        const command = this.createCommand(0x0A, data);
+    // File name -> offset: ESP-IDF defaults, overridden by the parts of the selected release
+    async getKnownOffsets() {
+        const offsets = { 'bootloader.bin': 0x0, 'partition-table.bin': 0x8000 };
         
         try {
-            await this.writer.write(command);
-            const response = await this.readResponse(1000);
-            
-            if (response && response.length >= 4) {
-                return response.slice(0, 4); // Return first 4 bytes (32-bit value)
+            const config = await this.getFirmwareConfig(this.selectedVersion);
+            for (const part of config.parts) {
+                offsets[part.path.split('/').pop()] = part.offset;
             }
-            return null;
         } catch (error) {
-            console.log(`⚠️ Register read failed: ${error.message}`);
-            return null;
-        }
-    }
-
-    configureSecureBootMode() {
-        if (this.secureBootEnabled) {
-            console.log('🔐 Configuring secure boot compatibility:');
-            console.log('   • ROM-only mode enabled (no stub loader)');
-            console.log('   • Force flashing enabled for protected regions');
-            console.log('   • Extended timeouts for secure verification');
-            console.log('   • Enhanced error handling for secure boot restrictions');
-            
-            // Configure secure boot specific settings
-            this.flashTimeout = 10000; // Extended timeout for secure operations
-            this.forceFlashing = true; // Enable force flashing
-        } else {
-            console.log('🔐 Standard ESP32-S3 mode configured');
-            this.flashTimeout = 5000;
-            this.forceFlashing = false;
+            console.log(`⚠️ No release layout to prefill offsets from: ${error.message}`);
         }
+        return offsets;
     }
 
-    async checkSecureBootProtection(address) {
-        // ESP32-S3 secure boot protected regions:
-        // 0x0 - 0x8000: Bootloader region (protected when secure boot enabled)
-        
-        if (!this.secureBootEnabled) {
-            return false; // No protection if secure boot is disabled
-        }
+    renderLocalFiles() {
+        const body = document.getElementById('local-files-body');
+        body.innerHTML = '';
         
-        // Check if address falls in bootloader region
-        if (address >= 0x0 && address < 0x8000) {
-            console.log(`🔐 Address 0x${address.toString(16)} is in protected bootloader region`);
-            return true;
-        }
-        
-        // Other potentially protected regions could be added here
-        // For now, only bootloader region is checked
-        
-        return false;
-    }
-
-    async readResponse(timeoutMs = 10000) {
-        // Silent operation like esptool.py - only log on timeout failure
-        
-        return new Promise((resolve, reject) => {
-            const timeout = setTimeout(() => {
-                reject(new Error(`Response timeout after ${timeoutMs}ms`));
-            }, timeoutMs);
-            
-            const chunks = [];
-            let totalLength = 0;
+        for (const file of this.localFiles) {
+            const row = document.createElement('tr');
             
-            const readChunk = async () => {
-                try {
-                    const { value, done } = await this.reader.read();
-                    
-                    if (done) {
-                        clearTimeout(timeout);
-                        reject(new Error('Reader closed'));
-                        return;
-                    }
-                    
-                    // Chunk received - silent like esptool
-                    chunks.push(value);
-                    totalLength += value.length;
-                    
-                    // Check if we have a complete SLIP frame (ends with 0xC0)
-                    if (value[value.length - 1] === 0xC0) {
-                        clearTimeout(timeout);
-                        
-                        // Combine all chunks
-                        const combined = new Uint8Array(totalLength);
-                        let offset = 0;
-                        for (const chunk of chunks) {
-                            combined.set(chunk, offset);
-                            offset += chunk.length;
-                        }
-                        
-                        // Complete response received - silent like esptool
-                        resolve(this.slipDecode(combined));
-                    } else {
-                        // Continue reading more chunks
-                        readChunk();
-                    }
-                } catch (error) {
-                    clearTimeout(timeout);
-                    reject(error);
-                }
-            };
+            const name = document.createElement('td');
+            name.textContent = file.name;
+            const size = document.createElement('td');
+            size.textContent = this.formatBytes(file.data.length);
             
-            readChunk();
-        });
-    }
-
-    async esp32FlashBegin(size, offset) {
-        console.log(`📝 FLASH_BEGIN: ${size} bytes at offset 0x${offset.toString(16)}`);
-        
-        // Calculate erase size (round up to 64KB blocks)
-        const eraseSize = Math.ceil(size / 65536) * 65536;
-        const packetSize = 1024; // 1KB packets
-        const numPackets = Math.ceil(size / packetSize);
-        
-        // For secure boot devices, use encrypted flash mode (5th parameter)
-        const encryptedMode = this.secureBootEnabled ? 1 : 0;
-        
-        console.log(`   Erase size: ${eraseSize} bytes (${eraseSize/65536} blocks)`);
-        console.log(`   Packets: ${numPackets} x ${packetSize} bytes`);
-        console.log(`   Offset: 0x${offset.toString(16)}`);
-        console.log(`   Encrypted mode: ${encryptedMode} (secure boot: ${this.secureBootEnabled})`);
-        
-        // FLASH_BEGIN command data: erase_size, num_packets, packet_size, offset, encrypted_mode
-        const data = new Uint8Array(20); // Extended to 20 bytes for 5th parameter
-        const view = new DataView(data.buffer);
-        view.setUint32(0, eraseSize, true);
-        view.setUint32(4, numPackets, true);
-        view.setUint32(8, packetSize, true);
-        view.setUint32(12, offset, true);
-        view.setUint32(16, encryptedMode, true); // 5th parameter for encrypted flash
-        
-        const command = this.createCommand(0x02, data);
-        await this.writer.write(command);
-        
-        // Calculate blocks for dynamic timeout (from erase_size calculation above)
-        const blocks = Math.ceil(size / 65536);
-        const response = await this.readResponse(this.getEsptoolTimeout('FLASH_BEGIN', blocks));
-        console.log('✅ FLASH_BEGIN successful');
-        
-        // Add stabilization delay for large erase operations (ROM loader needs time)
-        if (blocks >= 10) {  // Large erase operations (>640KB)
-            const stabilizationDelay = Math.min(blocks * 100, 3000); // 100ms per block, max 3s
-            console.log(`⏳ Large erase operation (${blocks} blocks) - allowing ${stabilizationDelay}ms for ROM loader stabilization...`);
-            await this.delay(stabilizationDelay);
-            console.log('✅ ROM loader stabilization complete');
+            const offsetCell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = '0x10000';
+            input.value = file.offsetText;
+            input.classList.toggle('invalid', this.parseOffset(file.offsetText) === null);
+            input.addEventListener('input', () => {
+                file.offsetText = input.value.trim();
+                input.classList.toggle('invalid', this.parseOffset(file.offsetText) === null);
+            });
+            offsetCell.appendChild(input);
+            
+            const remove = document.createElement('button');
+            remove.className = 'secondary-button';
+            remove.textContent = 'Remove';
+            remove.addEventListener('click', () => {
+                this.localFiles = this.localFiles.filter(f => f !== file);
+                this.renderLocalFiles();
+            });
+            offsetCell.appendChild(remove);
             
-            // Verify ROM loader is responsive after large erase
-            try {
-                console.log('🔍 Verifying ROM loader state after large erase...');
-                await this.esp32QuickSync();
-                console.log('✅ ROM loader verification successful - ready for FLASH_DATA');
-            } catch (syncError) {
-                console.log('⚠️ ROM loader verification failed after large erase:', syncError.message);
-                console.log('🔄 Attempting ROM loader recovery...');
-                
-                // Brief delay and retry sync
-                await this.delay(1000);
-                await this.esp32Sync();
-                console.log('✅ ROM loader recovery successful');
-            }
+            row.appendChild(name);
+            row.appendChild(size);
+            row.appendChild(offsetCell);
+            body.appendChild(row);
         }
         
-        return response;
+        document.getElementById('local-files-table').classList.toggle('hidden', this.localFiles.length === 0);
+        document.getElementById('local-flash-button').disabled = this.localFiles.length === 0;
+        document.getElementById('local-files-status').textContent = '';
     }
 
-
-    async esp32FlashData(data, sequence, totalFileSize = 0) {
-        // FLASH_DATA command data: data_size, sequence_num, 0, 0, data
-        const header = new Uint8Array(16);
-        const headerView = new DataView(header.buffer);
-        headerView.setUint32(0, data.length, true);
-        headerView.setUint32(4, sequence, true);
-        headerView.setUint32(8, 0, true);
-        headerView.setUint32(12, 0, true);
-        
-        // Combine header + data
-        const payload = new Uint8Array(header.length + data.length);
-        payload.set(header, 0);
-        payload.set(data, header.length);
-        
-        // CRITICAL FIX: Pass only the firmware data for checksum calculation
-        // According to esptool docs, checksum should ONLY apply to actual data payload
-        const command = this.createCommandWithCustomChecksum(0x03, payload, data);
-        
-        // DEBUG: Verify ROM loader is responsive before first FLASH_DATA
-        if (sequence === 0) {
-            console.log(`🔍 Testing ROM loader communication before first FLASH_DATA...`);
-            try {
-                await this.esp32QuickSync();
-                console.log(`✅ ROM loader responsive - proceeding with FLASH_DATA`);
-            } catch (syncError) {
-                console.log(`❌ ROM loader not responsive:`, syncError.message);
-                throw new Error(`ROM loader sync failed before FLASH_DATA: ${syncError.message}`);
-            }
-        }
-        
-        // DEBUG: Log detailed packet information for first chunk
-        if (sequence === 0) {
-            const checksumOnData = this.calculateChecksum(data);
-            const checksumOnPayload = this.calculateChecksum(payload);
-            console.log(`📋 FLASH_DATA Packet Debug (seq=${sequence}):`);
-            console.log(`   • Payload size: ${payload.length} bytes (header 16 + data ${data.length})`);
-            console.log(`   • Checksum on data only: 0x${checksumOnData.toString(16)}`);
-            console.log(`   • Checksum on full payload: 0x${checksumOnPayload.toString(16)}`);
-            console.log(`   • First 4 data bytes: [${Array.from(data.slice(0, 4)).map(b => '0x' + b.toString(16).padStart(2, '0')).join(', ')}]`);
-            console.log(`   • Command packet size: ${command.length} bytes (SLIP encoded)`);
+    // "0x10000" or "65536"; null for anything else
+    parseOffset(text) {
+        if (/^0x[0-9a-f]+$/i.test(text)) {
+            return parseInt(text, 16);
         }
-        
-        // Enhanced retry logic with progressive fallback (esptool-style)
-        const WRITE_BLOCK_ATTEMPTS = 3;
-        let timeout = this.getEsptoolTimeout('FLASH_DATA', 1, totalFileSize);
-        
-        for (let attempt = 0; attempt < WRITE_BLOCK_ATTEMPTS; attempt++) {
-            try {
-                // DEBUG: Log before write operation
-                if (sequence === 0) {
-                    console.log(`📡 Sending FLASH_DATA command to ESP32... (${command.length} bytes)`);
-                }
-                
-                await this.writer.write(command);
-                
-                // DEBUG: Log after successful write
-                if (sequence === 0) {
-                    console.log(`✅ FLASH_DATA command sent successfully, waiting for response...`);
-                }
-                
-                // DEBUG: Use shorter timeout for first chunk to detect immediate failures
-                const debugTimeout = (sequence === 0) ? 5000 : timeout; // 5 seconds for first chunk
-                if (sequence === 0) {
-                    console.log(`⏱️ Using debug timeout: ${debugTimeout}ms for first FLASH_DATA chunk`);
-                }
-                
-                const response = await this.readResponse(debugTimeout);
-                
-                // DEBUG: Log successful response for first chunk
-                if (sequence === 0) {
-                    console.log(`✅ FLASH_DATA chunk ${sequence} successful! Response: ${response.length} bytes`);
-                }
-                
-                return response;
-            } catch (error) {
-                console.log(`⚠️ FLASH_DATA attempt ${attempt + 1} failed (seq=${sequence}):`, error.message);
-                
-                if (attempt < WRITE_BLOCK_ATTEMPTS - 1) {
-                    console.log(`🔄 Retrying FLASH_DATA seq=${sequence} (attempt ${attempt + 2}/${WRITE_BLOCK_ATTEMPTS})...`);
-                    
-                    // Progressive fallback strategy
-                    await this.handleFlashDataRetry(attempt, totalFileSize, sequence);
-                    
-                    // Increase timeout progressively for retries
-                    timeout = Math.min(timeout * 1.5, 60000); // Max 60 second timeout
-                    
-                } else {
-                    // Final attempt failed - try bootloader recovery before giving up
-                    console.log(`💊 Final attempt failed, trying bootloader recovery...`);
-                    try {
-                        await this.quickBootloaderRecovery();
-                        console.log(`🔄 Recovery successful, making final retry...`);
-                        
-                        await this.writer.write(command);
-                        const response = await this.readResponse(timeout * 2); // Double timeout for recovery attempt
-                        console.log(`✅ FLASH_DATA recovered after bootloader reset (seq=${sequence})`);
-                        return response;
-                    } catch (recoveryError) {
-                        console.log(`❌ Bootloader recovery failed:`, recoveryError.message);
-                        throw new Error(`FLASH_DATA failed after ${WRITE_BLOCK_ATTEMPTS} attempts + recovery (seq=${sequence}): ${error.message}`);
-                    }
-                }
-            }
+        if (/^\d+$/.test(text)) {
+            return parseInt(text, 10);
         }
+        return null;
     }
 
-    async esp32FlashEnd(reboot = true) {
-        console.log(`🏁 FLASH_END (reboot=${reboot})`);
-        
-        // FLASH_END command data: reboot flag
-        // Research shows esptool.py uses: struct.pack("<I", int(not reboot))
-        // This means: reboot=true -> flag=0, reboot=false -> flag=1
-        const data = new Uint8Array(4);
-        const view = new DataView(data.buffer);
-        const rebootFlag = reboot ? 0 : 1;
-        view.setUint32(0, rebootFlag, true);
-        
-        console.log(`📤 FLASH_END reboot flag: ${rebootFlag} (reboot=${reboot})`);
-        
-        const command = this.createCommand(0x04, data);
+    async proceedWithLocalFiles() {
+        const status = document.getElementById('local-files-status');
+        const button = document.getElementById('local-flash-button');
+        button.disabled = true;
+        status.textContent = 'Checking files against the device...';
         
-        // Esptool-style retry logic: 3 attempts for FLASH_END
-        const FLASH_END_ATTEMPTS = 3;
-        const timeout = this.getEsptoolTimeout('FLASH_END');
-        
-        for (let attempt = 0; attempt < FLASH_END_ATTEMPTS; attempt++) {
-            try {
-                await this.writer.write(command);
-                const response = await this.readResponse(timeout);
-                console.log('✅ FLASH_END successful');
-                return response;
-            } catch (error) {
-                console.log(`⚠️ FLASH_END attempt ${attempt + 1} failed:`, error.message);
-                
-                if (attempt < FLASH_END_ATTEMPTS - 1) {
-                    console.log(`🔄 Retrying FLASH_END (attempt ${attempt + 2}/${FLASH_END_ATTEMPTS})...`);
-                    await this.delay(100); // Fixed delay like esptool
-                } else {
-                    throw new Error(`FLASH_END failed after ${FLASH_END_ATTEMPTS} attempts: ${error.message}`);
-                }
+        try {
+            const files = await this.loadLocalFiles();
+            this.useLocalFiles = true;
+            
+            document.getElementById('selected-version').textContent =
+                `Local files: ${files.map(f => `${f.path} @ 0x${f.address.toString(16)}`).join(', ')}`;
+            const app = files.map(f => f.image && f.image.appDescriptor).find(Boolean);
+            if (app) {
+                document.getElementById('app-build-info').textContent =
+                    `${app.projectName} ${app.version}, ESP-IDF ${app.idfVersion}, built ${app.date} ${app.time}`;
             }
+            document.getElementById('app-build-summary').classList.toggle('hidden', !app);
+            
+            status.textContent = '';
+            this.advanceToStep(3);
+        } catch (error) {
+            console.error('❌ Local files rejected:', error);
+            status.textContent = error.message;
+        } finally {
+            button.disabled = false;
         }
     }
 
-    async esp32FlashMD5Check(address, size, expectedMD5) {
-        console.log(`🔍 SPI_FLASH_MD5: address=0x${address.toString(16)}, size=${size}`);
-        
-        // Try ROM loader compatible SPI flash MD5 first
-        if (this.romOnlyMode) {
-            return await this.romSpiFlashMD5(address, size, expectedMD5);
+    // Developer mode counterpart of loadFirmwareFiles(): the user's files at the user's offsets, same checks
+    async loadLocalFiles() {
+        if (this.localFiles.length === 0) {
+            throw new Error('No local files added');
         }
         
-        // Original FLASH_MD5_CHECK command (0x13) for stub loader
-        const data = new Uint8Array(16);
-        const view = new DataView(data.buffer);
-        view.setUint32(0, address, true);
-        view.setUint32(4, size, true);
-        view.setUint32(8, 0, true);
-        view.setUint32(12, 0, true);
-        
-        const command = this.createCommand(0x13, data);
-        
-        try {
-            await this.writer.write(command);
-            const response = await this.readResponse(10000); // MD5 can take time for large blocks
-            
-            // Response contains MD5 hash (32 bytes) + status (2 bytes)
-            if (response.length >= 32) {
-                const md5Bytes = response.slice(0, 32);
-                const md5String = Array.from(md5Bytes).map(b => b.toString(16).padStart(2, '0')).join('');
-                
-                console.log(`📄 Device MD5: ${md5String}`);
-                console.log(`💾 Expected MD5: ${expectedMD5}`);
-                
-                if (md5String.toLowerCase() === expectedMD5.toLowerCase()) {
-                    console.log('✅ Flash MD5 verification successful');
-                    return true;
-                } else {
-                    console.log('❌ Flash MD5 verification failed - data corruption detected');
-                    return false;
-                }
-            } else {
-                console.log('⚠️ Invalid MD5 response length:', response.length);
-                return false;
+        const flashSize = this.loader.chipInfo ? this.loader.chipInfo.flashSize : null;
+        const files = this.localFiles.map(file => {
+            const address = this.parseOffset(file.offsetText);
+            if (address === null) {
+                throw new Error(`${file.name}: enter an offset such as 0x10000`);
+            }
+            if (address % 0x1000 !== 0) {
+                throw new Error(`${file.name}: offset 0x${address.toString(16)} is not aligned to a 4KB flash sector`);
+            }
+            if (flashSize && address + file.data.length > flashSize) {
+                throw new Error(`${file.name} (${file.data.length} bytes at 0x${address.toString(16)}) runs past the end of the ${flashSize / (1024 * 1024)}MB flash`);
+            }
+            return { data: file.data, address: address, path: file.name, isApplication: false, image: null };
+        });
+        this.validatePartLayout(files);
+        
+        // The panel is hidden on secure boot devices, but the files are still held to the release path's OTA rules:
+        // never the bootloader or partition table, and every image signed with a trusted key
+        if (this.loader.secureBootEnabled) {
+            const protectedEnd = (await this.getKnownOffsets())['partition-table.bin'] + 0x1000;
+            const blocked = files.find(f => f.address < protectedEnd);
+            if (blocked) {
+                throw new Error(`${blocked.path} at 0x${blocked.address.toString(16)} would overwrite the bootloader / partition table (below 0x${protectedEnd.toString(16)}) - not allowed on a secure boot device`);
             }
-        } catch (error) {
-            console.log(`⚠️ FLASH_MD5_CHECK failed:`, error.message);
-            console.log('🔄 Falling back to SPI flash MD5...');
-            return await this.romSpiFlashMD5(address, size, expectedMD5);
         }
-    }
-
-    async romSpiFlashMD5(address, size, expectedMD5) {
-        console.log(`🔍 ROM SPI_FLASH_MD5: address=0x${address.toString(16)}, size=${size}`);
         
-        // For ROM loader, we need to use a different approach
-        // Let's try SPI flash read command to get actual data for MD5 comparison
-        try {
-            // Calculate expected MD5 from original data if not provided
-            if (!expectedMD5) {
-                console.log(`⚠️ No expected MD5 provided for ROM verification`);
-                return false;
+        const table = await this.loadLocalPartitionTable(files);
+        if (table) {
+            this.loader.setPartitionTable(table);
+            for (const file of files) {
+                this.checkPartitionBounds(file.address, file.data.length, file.path);
             }
-            
-            // Read a small sample of the flash data to verify it's not empty/corrupted
-            const sampleSize = Math.min(1024, size);
-            console.log(`📖 Reading ${sampleSize} byte sample from 0x${address.toString(16)} for verification`);
-            
-            // Use SPI flash read to get actual flash contents
-            const sampleData = await this.spiFlashRead(address, sampleSize);
-            
-            if (sampleData) {
-                // Check if flash is not empty (all 0xFF indicates unwritten flash)
-                const isFlashEmpty = sampleData.every(byte => byte === 0xFF);
-                const isFlashZero = sampleData.every(byte => byte === 0x00);
-                
-                if (isFlashEmpty) {
-                    console.log('❌ ROM MD5 verification failed - flash region is empty (all 0xFF)');
-                    console.log('💡 This indicates a silent write failure - data was not actually written to flash');
-                    return false;
-                } else if (isFlashZero) {
-                    console.log('❌ ROM MD5 verification failed - flash region is zeroed (all 0x00)');
-                    console.log('💡 This indicates flash erase without proper write');
-                    return false;
-                } else {
-                    console.log('✅ ROM MD5 verification - flash contains data (not empty)');
-                    console.log('💡 Cannot verify exact MD5 in ROM mode, but flash write appears successful');
-                    return true;
-                }
-            } else {
-                console.log('❌ ROM MD5 verification failed - could not read flash sample');
-                return false;
-            }
-            
-        } catch (error) {
-            console.log(`⚠️ ROM SPI_FLASH_MD5 failed:`, error.message);
-            console.log('💡 Cannot verify flash contents in ROM mode - assuming successful if no errors');
-            return true; // In ROM mode, assume success if no explicit errors
         }
-    }
-
-    // SPI flash read for ROM loader verification
-    async spiFlashRead(address, size) {
-        console.log(`📥 SPI_FLASH_READ: address=0x${address.toString(16)}, size=${size}`);
         
-        // Use SPI attach and read commands for direct flash access
-        try {
-            // Simple approach: use READ_REG on flash-mapped addresses
-            // ESP32-S3 flash is mapped at 0x42000000 in data bus
-            const flashMappedAddress = 0x42000000 + address;
-            const maxRead = Math.min(size, 64); // Limit read size
-            
-            const result = new Uint8Array(maxRead);
-            
-            // Read in 4-byte chunks using READ_REG
-            for (let i = 0; i < maxRead; i += 4) {
-                const readAddr = flashMappedAddress + i;
-                const regData = await this.esp32ReadReg(readAddr);
-                
-                if (regData && regData.length >= 4) {
-                    const bytesToCopy = Math.min(4, maxRead - i);
-                    result.set(regData.slice(0, bytesToCopy), i);
-                } else {
-                    // If read fails, assume flash is empty
-                    result.set([0xFF, 0xFF, 0xFF, 0xFF].slice(0, maxRead - i), i);
+        // Bootloader and app images get the same chip / checksum / SHA-256 / signature checks as release parts
+        for (const file of files) {
+            if (file.data[0] === ESPImage.MAGIC) {
+                file.image = await this.inspectImage(file.data, file.path);
+                if (this.loader.secureBootEnabled) {
+                    await this.loader.checkSecureBootSignature(file.image, file.path);
                 }
             }
-            
-            console.log(`📥 SPI flash read complete: ${result.length} bytes`);
-            return result;
-            
-        } catch (error) {
-            console.log(`⚠️ SPI flash read failed:`, error.message);
-            return null;
         }
+        
+        console.log(`✅ ${files.length} local files ready: ${files.map(f => `${f.path} @ 0x${f.address.toString(16)}`).join(', ')}`);
+        return files;
     }
 
-    async verifyFlashReadback(address, originalData) {
-        console.log(`📖 Flash readback verification: address=0x${address.toString(16)}, size=${originalData.length}`);
+    // Step 3: the checked local files - on OTA-updated devices the application goes to the inactive slot, like a release's
+    async loadLocalFilesForFlash() {
+        const files = await this.loadLocalFiles();
+        if (!this.loader.useOtaUpdate) {
+            return files;
+        }
         
-        // For large files, verify multiple samples throughout the file
-        const sampleSize = Math.min(1024, originalData.length); // Read up to 1KB samples
-        const numSamples = Math.min(3, Math.ceil(originalData.length / 32768)); // Sample every 32KB, max 3 samples
+        const apps = files.filter(f => f.image && f.image.appDescriptor);
+        if (apps.length === 0) {
+            console.log('🔄 OTA mode: no application image among the local files - otadata left as it is');
+            return files;
+        }
+        if (apps.length > 1) {
+            throw new Error(`An OTA update takes one application image, not ${apps.length} (${apps.map(f => f.path).join(', ')})`);
+        }
+        const app = apps[0];
         
-        for (let i = 0; i < numSamples; i++) {
-            const sampleOffset = Math.floor((originalData.length / numSamples) * i);
-            const readAddress = address + sampleOffset;
-            const readSize = Math.min(sampleSize, originalData.length - sampleOffset);
-            
-            console.log(`📖 Reading sample ${i + 1}/${numSamples}: ${readSize} bytes from 0x${readAddress.toString(16)}`);
-            
+        // Encrypted flash reads back as ciphertext - then assume the release's layout, as the release path does
+        if (!this.loader.partitionTable) {
             try {
-                const readData = await this.esp32ReadFlash(readAddress, readSize);
-                
-                if (readData && readData.length >= readSize) {
-                    // In ROM mode, we can't actually read flash contents for comparison
-                    // If we got data back, it means bootloader is responsive
-                    if (this.romOnlyMode) {
-                        console.log(`📊 ROM mode: Bootloader communication verified for sample ${i + 1}`);
-                        // Skip actual comparison in ROM mode since we can't read real flash data
-                        continue;
-                    }
-                    
-                    // Compare read data with original data (stub loader mode only)
-                    const originalSample = originalData.slice(sampleOffset, sampleOffset + readSize);
-                    const readSample = readData.slice(0, readSize);
-                    
-                    // Check if data matches
-                    let matches = 0;
-                    let total = Math.min(originalSample.length, readSample.length);
-                    
-                    for (let j = 0; j < total; j++) {
-                        if (originalSample[j] === readSample[j]) {
-                            matches++;
-                        }
-                    }
-                    
-                    const matchPercent = (matches / total) * 100;
-                    console.log(`📊 Sample ${i + 1} match: ${matches}/${total} bytes (${matchPercent.toFixed(1)}%)`);
-                    
-                    if (matchPercent < 95) { // Allow 5% tolerance for flash quirks
-                        console.log(`❌ Sample ${i + 1} verification failed - only ${matchPercent.toFixed(1)}% match`);
-                        return false;
-                    }
-                } else {
-                    console.log(`❌ Sample ${i + 1} read failed - invalid data length`);
-                    if (!this.romOnlyMode) {
-                        return false; // Only fail in stub mode where we can actually verify
-                    }
-                    console.log(`💡 ROM mode: Cannot verify flash contents, assuming write succeeded`);
-                }
+                await this.loadPartitionTable(await this.getFirmwareConfig(this.selectedVersion));
             } catch (error) {
-                console.log(`❌ Sample ${i + 1} read failed:`, error.message);
-                if (!this.romOnlyMode) {
-                    return false; // Only fail in stub mode where we can actually verify
-                }
-                console.log(`💡 ROM mode: Read error expected, continuing with flash process`);
+                throw new Error(`${app.path}: no partition table to choose an OTA slot from (${error.message})`);
             }
         }
         
-        if (this.romOnlyMode) {
-            console.log(`✅ ROM mode verification complete - bootloader communication confirmed`);
-            console.log(`💡 Note: Cannot verify actual flash contents in ROM mode - relying on FLASH_* command success`);
-        } else {
-            console.log(`✅ All ${numSamples} samples verified successfully`);
-        }
-        return true;
-    }
-
-    async esp32ReadFlash(address, size) {
-        console.log(`📥 ESP32_READ_FLASH: address=0x${address.toString(16)}, size=${size}`);
-        
-        // Use ROM loader READ_FLASH command for actual flash memory access
-        // In ROM-only mode (secure boot compatible), we need to use simpler approach
+        console.log('🔄 OTA mode enabled - determining target partition...');
+        const originalAddress = app.address;
+        app.address = await this.loader.determineOtaSlot();
+        app.isApplication = true;
+        console.log(`  🔄 OTA redirect: ${app.path} from 0x${originalAddress.toString(16)} to 0x${app.address.toString(16)}`);
         
-        if (this.romOnlyMode) {
-            // ROM loader flash reading - more basic but compatible with secure boot
-            return await this.romReadFlash(address, size);
-        } else {
-            // Stub loader READ_FLASH command (0xD2) - faster but not available in secure boot
-            return await this.stubReadFlash(address, size);
+        for (const file of files) {
+            this.checkPartitionBounds(file.address, file.data.length, file.path);
         }
+        this.validatePartLayout(files);
+        return files;
     }
 
-    async romReadFlash(address, size) {
-        console.log(`📥 ROM_READ_FLASH: address=0x${address.toString(16)}, size=${size}`);
-        console.log(`⚠️ ROM loader cannot read flash memory directly via READ_REG`);
-        console.log(`💡 Using bootloader state verification instead of flash readback`);
-        
-        // ROM loader cannot read flash memory addresses with READ_REG
-        // READ_REG only works for CPU/peripheral registers, not flash memory
-        // Instead, we'll verify the bootloader hasn't crashed or become corrupted
-        
-        try {
-            // Multi-level bootloader integrity check
-            console.log(`🔍 Performing bootloader integrity verification...`);
-            
-            // Step 1: Basic communication test
-            const basicTest = await this.esp32ReadReg(0x60007000); // Known efuse register
-            if (!basicTest) {
-                console.log(`❌ Step 1 failed: Basic bootloader communication lost`);
-                return null;
-            }
-            
-            // Step 2: Secure boot status consistency check  
-            const secureBootCheck = await this.esp32ReadReg(0x60007048); // Secure boot register
-            if (!secureBootCheck) {
-                console.log(`❌ Step 2 failed: Secure boot register inaccessible`);
-                return null;
-            }
-            
-            // Step 3: Memory boundaries test (bootloader still has valid memory access)
-            const memoryTest = await this.esp32ReadReg(0x60008000); // Memory boundary register
-            // This may fail but shouldn't crash the bootloader
-            
-            // Step 4: Configuration persistence check
-            try {
-                // Try to read a configuration register that should be stable
-                await this.esp32ReadReg(0x60007040); // EFUSE configuration
-                console.log(`✅ Step 4 passed: Configuration registers stable`);
-            } catch (configError) {
-                console.log(`⚠️ Step 4 warning: Configuration access degraded`);
-                // Continue - this is not critical
-            }
-            
-            console.log(`✅ Bootloader integrity verified - flash write likely succeeded`);
-            console.log(`💡 Note: Cannot confirm actual flash contents in ROM mode`);
-            
-            // Return success indicator
-            return new Uint8Array(size).fill(0x42); // Placeholder data
-            
-        } catch (error) {
-            console.log(`❌ Bootloader integrity check failed: ${error.message}`);
-            console.log(`🚨 This suggests the flash operation may have corrupted the bootloader state`);
-            return null; // Fail verification - something is seriously wrong
+    // The partition table being flashed if it is among the files, otherwise the one on the device now
+    async loadLocalPartitionTable(files) {
+        const local = files.find(f => /partition[-_]table/.test(f.path));
+        if (local) {
+            return ESPLoader.parsePartitionTable(local.data);
         }
-    }
-
-    async stubReadFlash(address, size) {
-        console.log(`📥 STUB_READ_FLASH: address=0x${address.toString(16)}, size=${size}`);
-        
-        // Stub loader READ_FLASH command (0xD2) - not available in secure boot
-        // Command format: address, size, block_size, max_in_flight
-        const data = new Uint8Array(16);
-        const view = new DataView(data.buffer);
-        view.setUint32(0, address, true);      // Flash address
-        view.setUint32(4, size, true);         // Size to read  
-        view.setUint32(8, 1024, true);         // Block size
-        view.setUint32(12, 1, true);           // Max blocks in flight
-        
-        const command = this.createCommand(0xD2, data);
         
+        const offset = (await this.getKnownOffsets())['partition-table.bin'];
         try {
-            await this.writer.write(command);
-            const response = await this.readResponse(this.flashTimeout || 5000);
-            
-            if (response && response.length >= size) {
-                console.log(`📥 Stub read complete: ${response.length} bytes from flash`);
-                return response.slice(0, size);
-            } else {
-                console.log(`⚠️ Invalid stub read response length: ${response?.length || 0}`);
-                return null;
-            }
+            const table = ESPLoader.parsePartitionTable(await this.loader.readFlashRegion(offset, 0xC00));
+            console.log(`🗂️ Device partition table at 0x${offset.toString(16)}: ${table.entries.map(p => p.label).join(', ')}`);
+            return table;
         } catch (error) {
-            console.log(`⚠️ STUB_READ_FLASH failed:`, error.message);
+            console.log(`⚠️ Cannot read the device's partition table at 0x${offset.toString(16)} (${error.message}) - offsets checked against flash size only`);
             return null;
         }
     }
 
-    async esp32FlashReadbackCheck(address, size, expectedMD5) {
-        console.log(`📖 FLASH_READ verification: address=0x${address.toString(16)}, size=${size}`);
+    // Developer mode: a zipped ESP-IDF build/ tree or release folder - parts and offsets come from its flash args
+    // files (or its manifest), so CI artifacts flash without being copied into firmware/
+    async importBundle(data, source) {
+        if (!ZipArchive.isZip(data)) {
+            throw new Error(`${source} is not a ZIP archive`);
+        }
+        const archive = ZipArchive.parse(data, source);
+        console.log(`🗜️ ${source}: ${archive.entries.size} files`);
         
-        // For large files, only verify the first 4KB to avoid timeout
-        const readSize = Math.min(size, 4096);
-        console.log(`📖 Reading first ${readSize} bytes for verification (of ${size} total)`);
+        const layout = archive.find('flash_project_args').length > 0
+            ? await this.readBundleFlashArgs(archive)
+            : await this.readBundleManifest(archive);
         
-        // FLASH_READ command data: address, size, 0, 0  
-        const data = new Uint8Array(16);
-        const view = new DataView(data.buffer);
-        view.setUint32(0, address, true);
-        view.setUint32(4, readSize, true);
-        view.setUint32(8, 0, true);
-        view.setUint32(12, 0, true);
+        // Every part the layout names must be in the archive, and a full flash needs bootloader, partition table and app
+        const missing = layout.parts
+            .filter(part => !archive.has(part.path))
+            .map(part => `${part.path} (0x${part.offset.toString(16)}, listed in ${part.source})`);
+        if (!layout.parts.some(part => part.offset === 0)) {
+            missing.push('bootloader at 0x0 (bootloader-flash_args)');
+        }
+        if (!layout.parts.some(part => /partition[-_]table/.test(part.path))) {
+            missing.push('partition table');
+        }
+        if (!layout.appPath) {
+            missing.push('application image (flash_app_args)');
+        }
+        if (missing.length > 0) {
+            throw new Error(`${source} is incomplete - missing: ${missing.join('; ')}`);
+        }
         
-        const command = this.createCommand(0x03, data); // 0x03 is FLASH_DATA/READ command
+        // A bundle is a complete set - it replaces whatever was added before
+        const files = [];
+        for (const part of layout.parts) {
+            files.push({ name: part.path, data: await archive.read(part.path), offsetText: `0x${part.offset.toString(16)}` });
+        }
+        this.localFiles = files;
+        this.renderLocalFiles();
         
-        try {
-            await this.writer.write(command);
-            const response = await this.readResponse(5000);
-            
-            if (response.length >= readSize) {
-                const readData = response.slice(0, readSize);
-                console.log(`📖 Read ${readData.length} bytes from flash`);
-                
-                // Verify first few bytes match (basic readback check)
-                const isDataPresent = Array.from(readData).some(byte => byte !== 0xFF);
-                
-                if (isDataPresent) {
-                    console.log('✅ Flash readback verification successful - data present in flash');
-                    return true;
-                } else {
-                    console.log('❌ Flash readback verification failed - flash appears empty (all 0xFF)');
-                    return false;
-                }
-            } else {
-                console.log('⚠️ Invalid readback response length:', response.length);
-                return false;
-            }
-        } catch (error) {
-            console.log(`⚠️ FLASH_READ verification failed:`, error.message);
-            console.log('⚠️ Unable to verify flash contents - assuming write failed');
-            return false;
+        let summary = `Imported ${source}: ${files.length} parts from ${layout.source}`;
+        const builtFor = this.parseFlashSize(layout.flashSize);
+        const detected = this.loader?.chipInfo?.flashSize;
+        if (builtFor && detected && builtFor !== detected) {
+            summary += ` - ⚠️ built for ${layout.flashSize} flash, the device has ${detected / (1024 * 1024)}MB`;
         }
+        document.getElementById('local-files-status').textContent = summary;
+        console.log(`✅ ${summary}: ${files.map(f => `${f.name} @ ${f.offsetText}`).join(', ')}`);
+        return files;
     }
 
-    async calculateMD5(data) {
-        // Calculate proper MD5 hash using a JavaScript implementation
+    // Errors go to the panel, not an unhandled rejection from a drop or click handler
+    async importBundleSafely(data, source) {
+        const status = document.getElementById('local-files-status');
+        status.textContent = `Unpacking ${source}...`;
         try {
-            return this.md5Hash(data);
+            await this.importBundle(data, source);
         } catch (error) {
-            console.log('⚠️ MD5 calculation failed:', error.message);
-            return null;
+            console.error('❌ Bundle rejected:', error);
+            status.textContent = error.message;
         }
     }
 
-    md5Hash(data) {
-        // Proper MD5 implementation for ESP32 flash verification
-        const bytes = new Uint8Array(data);
-        
-        // MD5 constants
-        const k = [];
-        for (let i = 0; i < 64; i++) {
-            k[i] = Math.floor(Math.abs(Math.sin(i + 1)) * Math.pow(2, 32));
-        }
-        
-        // MD5 processing
-        let h0 = 0x67452301;
-        let h1 = 0xEFCDAB89;
-        let h2 = 0x98BADCFE;
-        let h3 = 0x10325476;
-        
-        // Pre-processing: adding a single 1 bit
-        const msgLen = bytes.length;
-        const msg = new Uint8Array(msgLen + 64);
-        msg.set(bytes);
-        msg[msgLen] = 0x80;
-        
-        // Pre-processing: padding with zeros
-        const newLen = Math.ceil((msgLen + 9) / 64) * 64;
-        const paddedMsg = new Uint8Array(newLen);
-        paddedMsg.set(msg.slice(0, Math.min(msg.length, newLen)));
-        
-        // Append original length in bits mod 2^64 to message
-        const bitLen = msgLen * 8;
-        const view = new DataView(paddedMsg.buffer);
-        view.setUint32(newLen - 8, bitLen, true);
-        view.setUint32(newLen - 4, Math.floor(bitLen / Math.pow(2, 32)), true);
-        
-        // Process the message in 512-bit chunks
-        for (let offset = 0; offset < paddedMsg.length; offset += 64) {
-            const w = new Array(16);
-            for (let i = 0; i < 16; i++) {
-                w[i] = view.getUint32(offset + i * 4, true);
-            }
-            
-            let a = h0, b = h1, c = h2, d = h3;
-            
-            for (let i = 0; i < 64; i++) {
-                let f, g;
-                if (i < 16) {
-                    f = (b & c) | ((~b) & d);
-                    g = i;
-                } else if (i < 32) {
-                    f = (d & b) | ((~d) & c);
-                    g = (5 * i + 1) % 16;
-                } else if (i < 48) {
-                    f = b ^ c ^ d;
-                    g = (3 * i + 5) % 16;
-                } else {
-                    f = c ^ (b | (~d));
-                    g = (7 * i) % 16;
-                }
-                
-                const temp = d;
-                d = c;
-                c = b;
-                b = this.addUint32(b, this.leftRotate(this.addUint32(a, this.addUint32(f, this.addUint32(k[i], w[g]))), [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21][Math.floor(i / 4) % 4 + (Math.floor(i / 16) * 4)]));
-                a = temp;
-            }
-            
-            h0 = this.addUint32(h0, a);
-            h1 = this.addUint32(h1, b);
-            h2 = this.addUint32(h2, c);
-            h3 = this.addUint32(h3, d);
+    async importBundleFromUrl() {
+        const url = document.getElementById('bundle-url-input').value.trim();
+        if (!url) {
+            return;
         }
         
-        // Produce the final hash value (little-endian)
-        const result = new ArrayBuffer(16);
-        const resultView = new DataView(result);
-        resultView.setUint32(0, h0, true);
-        resultView.setUint32(4, h1, true);
-        resultView.setUint32(8, h2, true);
-        resultView.setUint32(12, h3, true);
-        
-        return Array.from(new Uint8Array(result)).map(b => b.toString(16).padStart(2, '0')).join('');
-    }
-    
-    addUint32(a, b) {
-        return ((a + b) & 0xFFFFFFFF) >>> 0;
-    }
-    
-    leftRotate(value, amount) {
-        return ((value << amount) | (value >>> (32 - amount))) >>> 0;
+        const button = document.getElementById('bundle-url-button');
+        button.disabled = true;
+        try {
+            console.log(`📥 Fetching bundle ${url}`);
+            let data;
+            try {
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                data = new Uint8Array(await response.arrayBuffer());
+            } catch (error) {
+                // Cross-origin artifact stores often refuse CORS - downloading and dropping the file still works
+                document.getElementById('local-files-status').textContent = `Cannot download ${url}: ${error.message}. Download it and drop the .zip here instead.`;
+                return;
+            }
+            await this.importBundleSafely(data, url.split('/').pop().split('?')[0] || url);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // build/flash_project_args (+ bootloader-flash_args, flash_app_args next to it); entry paths are relative to that folder
+    async readBundleFlashArgs(archive) {
+        const projectPath = archive.find('flash_project_args')[0];
+        const baseDir = projectPath.slice(0, projectPath.lastIndexOf('/') + 1);
+        
+        const readArgs = async name => archive.has(baseDir + name)
+            ? FlashArgs.parse(new TextDecoder().decode(await archive.read(baseDir + name)), baseDir + name)
+            : null;
+        const { entries, options, appFile } = FlashArgs.merge(
+            await readArgs('flash_project_args'),
+            await readArgs('flash_app_args'),
+            await readArgs('bootloader-flash_args')
+        );
+        
+        return {
+            source: projectPath,
+            flashSize: options.flash_size || null,
+            appPath: appFile ? baseDir + appFile : null,
+            parts: entries
+                .sort((a, b) => a.offset - b.offset)
+                .map(entry => ({ path: baseDir + entry.file, offset: entry.offset, source: entry.source }))
+        };
     }
 
-    async esp32FlashFirmware(firmwareData) {
-        console.log('🚀 Starting ESP32 firmware flash process...');
+    // Zipped release folder: an ESP Web Tools manifest whose part paths resolve inside the archive
+    async readBundleManifest(archive) {
+        const jsonPaths = [...archive.entries.keys()]
+            .filter(path => /\.json$/i.test(path))
+            .sort((a, b) => a.split('/').length - b.split('/').length);
         
-        for (let fileIndex = 0; fileIndex < firmwareData.length; fileIndex++) {
-            const file = firmwareData[fileIndex];
-            console.log(`📂 Flashing file ${fileIndex + 1}/${firmwareData.length}: ${file.data.length} bytes at 0x${file.address.toString(16)}`);
-            
-            // Check for secure boot protected regions and handle accordingly
-            const isProtectedRegion = await this.checkSecureBootProtection(file.address);
-            if (isProtectedRegion && this.secureBootEnabled) {
-                console.log(`🔐 Secure boot protected region detected at 0x${file.address.toString(16)}`);
-                
-                // Always try to flash protected regions, but with enhanced error handling
-                console.log(`⚡ Attempting to flash secure boot protected region with enhanced error handling...`);
-                console.log(`💡 Note: Secure boot may reject this operation with specific error codes`);
+        for (const manifestPath of jsonPaths) {
+            let manifest;
+            try {
+                manifest = JSON.parse(new TextDecoder().decode(await archive.read(manifestPath)));
+            } catch (error) {
+                continue;
             }
-            
-            // Try to begin flash for this file with retry logic
-            let retryCount = 0;
-            const maxRetries = 3;
-            
-            while (retryCount < maxRetries) {
-                try {
-                    await this.esp32FlashBegin(file.data.length, file.address);
-                    console.log(`🧹 Flash region 0x${file.address.toString(16)} prepared for ${file.data.length} bytes`);
-                    
-                    break; // Success, exit retry loop
-                } catch (error) {
-                    retryCount++;
-                    console.log(`⚠️ FLASH_BEGIN attempt ${retryCount} failed for file ${fileIndex + 1}:`, error.message);
-                    
-                    // Check if this is a secure boot blocking error
-                    if (error.message.includes('SECURE_BOOT_BLOCKED')) {
-                        console.log(`🔐 SECURE BOOT BLOCKING DETECTED:`);
-                        console.log(`   • File: ${file.path || 'Unknown'} at 0x${file.address.toString(16)}`);
-                        console.log(`   • Error: ${error.message}`);
-                        console.log(`   • This region is protected by secure boot and cannot be modified`);
-                        console.log(`   • Firmware update failed - device will remain on current version`);
-                        
-                        // For secure boot blocking, don't retry - it's a policy restriction
-                        throw new Error(`SECURE_BOOT_POLICY_VIOLATION: Cannot flash to protected region 0x${file.address.toString(16)}. ${error.message}`);
-                    }
-                    
-                    if (retryCount < maxRetries) {
-                        console.log(`🔧 Attempting device recovery (attempt ${retryCount}/${maxRetries})...`);
-                        
-                        // Use enhanced secure boot retry strategy
-                        if (this.secureBootEnabled) {
-                            await this.handleSecureBootFlashRetry(retryCount - 1, file.data.length, file.address);
-                        } else {
-                            // Standard recovery for non-secure boot devices
-                            console.log('📍 Standard recovery: Device sync + delay');
-                            await this.delay(1000);
-                            
-                            try {
-                                await this.esp32Sync();
-                                console.log('✅ Device recovery successful, retrying FLASH_BEGIN...');
-                            } catch (syncError) {
-                                console.log('⚠️ Device recovery failed, continuing with retry...');
-                            }
-                        }
-                    } else {
-                        throw new Error(`Failed to flash file ${fileIndex + 1} after ${maxRetries} attempts: ${error.message}`);
+            const build = (manifest.builds || []).find(b => b.chipFamily === 'ESP32-S3');
+            if (!build || !Array.isArray(build.parts) || build.parts.length === 0) continue;
+            
+            // "./firmware/v1.36.0.16433/hbd.bin" -> the longest tail of that path that exists next to the manifest
+            const baseDir = manifestPath.slice(0, manifestPath.lastIndexOf('/') + 1);
+            const resolve = partPath => {
+                const segments = partPath.replace(/^(\.\/)+/, '').split('/');
+                for (let i = 0; i < segments.length; i++) {
+                    const candidate = baseDir + segments.slice(i).join('/');
+                    if (archive.has(candidate)) {
+                        return candidate;
                     }
                 }
-            }
-            
-            // Adaptive chunk size based on file size (like esptool --chunk-size)
-            const isOtaOperation = this.useOtaUpdate && file.isApplication;
-            const chunkSize = this.getAdaptiveChunkSize(file.data.length, isOtaOperation);
-            const operationType = isOtaOperation ? 'OTA' : 'factory';
-            console.log(`📦 Using chunk size: ${chunkSize} bytes for ${(file.data.length / 1024 / 1024).toFixed(2)}MB file (${operationType})`);
-            
-            const totalChunks = Math.ceil(file.data.length / chunkSize);
-            console.log(`🚀 Starting FLASH_DATA operations: ${totalChunks} chunks of ${chunkSize} bytes each`);
-            
-            let sequence = 0;
-            
-            for (let offset = 0; offset < file.data.length; offset += chunkSize) {
-                const chunk = file.data.slice(offset, offset + chunkSize);
-                
-                // Log progress for first few chunks to detect startup issues
-                if (sequence < 5 || sequence % 50 === 0) {
-                    console.log(`📤 FLASH_DATA chunk ${sequence + 1}/${totalChunks}: ${chunk.length} bytes`);
-                }
-                
-                await this.esp32FlashData(chunk, sequence, file.data.length);
-                sequence++;
-                
-                // ROM loader stability enhancements for large files
-                const stabilityDelay = this.getRomStabilityDelay(file.data.length, sequence, chunkSize);
-                if (stabilityDelay > 0) {
-                    await this.delay(stabilityDelay);
-                }
-                
-                // Report progress every 10% to reduce log spam
-                const fileProgress = ((offset + chunk.length) / file.data.length) * 100;
-                const totalProgress = ((fileIndex + (offset + chunk.length) / file.data.length) / firmwareData.length) * 100;
-                if (sequence % 10 === 0 || offset + chunk.length >= file.data.length) {
-                    console.log(`📊 File progress: ${fileProgress.toFixed(0)}%, Total: ${totalProgress.toFixed(0)}%`);
-                }
-            }
-            
-            // End flash for this file - NEVER reboot during flash process
-            const isLastFile = fileIndex === firmwareData.length - 1;
-            await this.esp32FlashEnd(false); // Never reboot during individual file flash
-            console.log(`✅ File ${fileIndex + 1} flashed successfully`);
+                return baseDir + segments.join('/');
+            };
             
-            // OTA flash verification (secure boot compatible)
-            if (this.useOtaUpdate) {
-                console.log(`✅ File ${fileIndex + 1} OTA verification: Flash commands completed successfully`);
-                console.log(`💡 OTA partitions work with secure boot - no READ_REG verification needed`);
-            } else {
-                console.log(`✅ File ${fileIndex + 1} verification: Flash commands completed successfully`);
-                console.log(`💡 Timing validation and secure boot response analysis already performed`);
-            }
+            const parts = build.parts
+                .map(part => ({ path: resolve(part.path), offset: part.offset, source: manifestPath, isApplication: part.isApplication }))
+                .sort((a, b) => a.offset - b.offset);
+            const app = parts.find(part => part.isApplication);
             
-            // Quick SYNC check before next file (unless it's the last file)
-            if (!isLastFile) {
-                const quickSyncOk = await this.esp32QuickSync();
-                if (!quickSyncOk) {
-                    console.log('⚠️ Quick SYNC failed, bootloader may need recovery for next file');
-                }
-            }
+            return {
+                source: manifestPath,
+                flashSize: build.flashSize || null,
+                appPath: app ? app.path : null,
+                parts: parts
+            };
         }
         
-        console.log('🎉 All firmware files flashed successfully!');
-        
-        // Update OTA data partition if using OTA mode
-        if (this.useOtaUpdate) {
-            console.log('📋 Finalizing OTA update...');
-            await this.updateOtaDataPartition();
-            console.log('✅ OTA update completed - device will boot new firmware on restart');
-        }
+        throw new Error(`${archive.name} is not a supported bundle - it has neither an ESP-IDF build folder (flash_project_args) nor a manifest with an ESP32-S3 build`);
     }
 
-    async performFinalVerification(firmwareData) {
-        console.log('🔎 Starting final flash verification...');
+    // esptool merge_bin in the browser: a version's parts at their offsets, 0xFF in between, flash settings from
+    // the release patched into the bootloader header; optionally padded to the full flash size
+    async buildMergedImage(version, padToFlashSize) {
+        const config = await this.getFirmwareConfig(version);
         
-        try {
-            // Enhanced bootloader state verification
-            console.log('🔍 Step 1: Bootloader communication and state verification...');
-            await this.esp32Sync();
-            console.log('✅ Bootloader SYNC confirmed');
-            
-            // Critical test: Check if bootloader state indicates successful flash operations
-            console.log('🔍 Step 2: Verifying bootloader flash operation history...');
-            const flashStateOk = await this.verifyBootloaderFlashState();
-            if (!flashStateOk) {
-                throw new Error('Bootloader state indicates flash operations may have failed silently');
-            }
-            console.log('✅ Bootloader flash operation state verified');
-            
-            // OTA final verification - rely on successful flash commands and OTA data update
-            if (this.useOtaUpdate) {
-                console.log('🎯 OTA final verification: All flash commands completed successfully');
-                console.log('💡 OTA data partition will be updated to activate new firmware');
-                console.log('✅ Device will boot from new firmware after restart');
-            } else {
-                console.log('🎯 Factory flash final verification: All flash commands completed successfully');
-                console.log('💡 READ_REG verification skipped (cannot read flash memory addresses)');
-                console.log('✅ Relying on secure boot response validation and timing analysis');
-            }
-            
-            // Now that verification is complete, send final reboot command
-            console.log('🔄 Sending final reboot command to exit bootloader...');
-            try {
-                // Send FLASH_END with reboot=true to exit bootloader and start firmware
-                const data = new Uint8Array(4);
-                const view = new DataView(data.buffer);
-                view.setUint32(0, 0, true); // reboot=true -> flag=0
-                
-                const command = this.createCommand(0x04, data);
-                await this.writer.write(command);
-                
-                // Don't wait for response since device will reboot immediately
-                console.log('📤 Final reboot command sent - device should restart with new firmware');
-            } catch (rebootError) {
-                console.log('⚠️ Final reboot command failed, using hardware reset instead:', rebootError.message);
-            }
-            
-        } catch (error) {
-            console.log('❌ Final verification failed:', error.message);
-            console.log('⚠️ WARNING: Flash may have failed silently - firmware may not update');
-            throw new Error(`Final verification failed: ${error.message}`);
+        const parts = [];
+        for (const part of config.parts) {
+            parts.push({ data: await this.fetchFirmwarePart(part), address: part.offset, path: part.path });
         }
-    }
-
-    async forceDeviceReboot() {
-        console.log('🔄 Performing forced ESP32 reboot into normal mode...');
+        this.validatePartLayout(parts);
         
-        try {
-            // Get the raw serial port for signal control
-            const port = this.connectedPort;
-            
-            // Check if port supports signal control
-            if (typeof port.setSignals !== 'function') {
-                console.log('⚠️ Port does not support signal control - skipping hardware reboot');
-                return;
-            }
-            
-            console.log('🔧 ESP32 normal boot sequence:');
-            console.log('   DTR=LOW (reset), RTS=HIGH (normal mode)');
-            
-            // Step 1: Assert reset and set normal boot mode
-            await port.setSignals({
-                dataTerminalReady: false,  // EN = LOW (reset)
-                requestToSend: true        // GPIO0 = HIGH (normal mode)
-            });
-            
-            await this.delay(100); // Hold reset
-            
-            // Step 2: Release reset - device boots into normal mode
-            console.log('🚀 Releasing reset - device should boot into new firmware');
-            await port.setSignals({
-                dataTerminalReady: true,   // EN = HIGH (run)  
-                requestToSend: true        // GPIO0 = HIGH (normal mode)
-            });
-            
-            await this.delay(500); // Let device boot
-            
-            console.log('✅ Hardware reboot completed - device should be running new firmware');
-            
-        } catch (error) {
-            console.log('⚠️ Hardware reboot failed:', error.message);
+        const bootloader = parts.find(p => p.address === 0);
+        if (bootloader) {
+            const image = await this.inspectImage(bootloader.data, bootloader.path);
+            bootloader.data = await image.withFlashParams(config.flashMode, config.flashFreq, config.flashSize, bootloader.path);
+        }
+        
+        const end = Math.max(...parts.map(p => p.address + p.data.length));
+        const flashSize = this.parseFlashSize(config.flashSize) || 16 * 1024 * 1024;
+        if (end > flashSize) {
+            throw new Error(`Firmware ${config.version} ends at 0x${end.toString(16)}, past the end of the ${config.flashSize} flash`);
         }
         
-        // Clean up communication after reboot
-        await this.cleanupAfterReboot();
+        const merged = MergedImage.build(parts, padToFlashSize ? flashSize : end);
+        
+        console.log(`🧩 Merged image for ${config.version}: ${parts.length} parts, ${merged.length} bytes`);
+        return { data: merged, config: config };
     }
 
-    async cleanupAfterReboot() {
-        console.log('🧹 Cleaning up after reboot...');
+    async downloadMergedImage() {
+        const status = document.getElementById('merged-status');
+        const button = document.getElementById('merged-download-button');
+        const pad = document.getElementById('merged-pad-checkbox').checked;
+        button.disabled = true;
+        status.textContent = `Building merged image for ${this.selectedVersion}...`;
         
         try {
-            // Close readers/writers
-            if (this.reader) {
-                await this.reader.releaseLock();
-                this.reader = null;
-            }
-            if (this.writer) {
-                await this.writer.releaseLock();
-                this.writer = null;
-            }
+            const { data, config } = await this.buildMergedImage(this.selectedVersion, pad);
             
-            // Close port after delay to let device boot
-            await this.delay(1000);
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([data], { type: 'application/octet-stream' }));
+            link.download = `hbd-${config.version}-merged${pad ? `-${config.flashSize}` : ''}.bin`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 60000); // Not before the browser has read the blob
             
-            if (this.connectedPort && this.connectedPort.readable) {
-                await this.connectedPort.close();
-            }
-            
-            console.log('✅ Cleanup completed - device should be running new firmware');
+            status.textContent = `${link.download}: ${this.formatBytes(data.length)}, ${config.flashMode || 'keep'} ${config.flashFreq || 'keep'} ${config.flashSize || 'keep'} - write it at 0x0`;
         } catch (error) {
-            console.log('⚠️ Cleanup failed:', error.message);
+            console.error('❌ Merged image failed:', error);
+            status.textContent = error.message;
+        } finally {
+            button.disabled = false;
         }
     }
 
-    async esp32HardReset() {
-        console.log('🔄 Performing ESP32 hard reset...');
+    // Warn when the detected flash chip is not the size the selected firmware was built for
+    async checkFlashSize() {
+        const warning = document.getElementById('flash-size-warning');
+        const detectedSize = this.loader?.chipInfo?.flashSize;
+        if (!detectedSize || !this.selectedVersion) {
+            warning.classList.add('hidden');
+            return;
+        }
         
+        let config;
         try {
-            // Close readers/writers
-            if (this.reader) {
-                await this.reader.releaseLock();
-                this.reader = null;
-            }
-            if (this.writer) {
-                await this.writer.releaseLock();
-                this.writer = null;
-            }
-            
-            // Close port
-            if (this.connectedPort && this.connectedPort.readable) {
-                await this.connectedPort.close();
-            }
-            
-            console.log('✅ ESP32 reset completed - device should restart with new firmware');
+            config = await this.getFirmwareConfig(this.selectedVersion);
         } catch (error) {
-            console.log('⚠️ Reset cleanup failed:', error.message);
+            return;
         }
-    }
-
-    async attemptDeviceRecovery() {
-        console.log('🔧 Attempting device recovery...');
         
-        try {
-            console.log('🔄 Trying hardware reset recovery...');
-            await this.performHardwareReset();
-        } catch (e) {
-            console.log('⚠️ Hardware reset recovery failed:', e.message);
+        const expectedSize = this.parseFlashSize(config.flashSize);
+        if (!expectedSize || expectedSize === detectedSize) {
+            warning.classList.add('hidden');
+            return;
         }
         
-        console.log('🔧 Device recovery attempt completed');
+        const message = `Detected ${detectedSize / (1024 * 1024)}MB flash, but firmware ${config.version} is built for ${config.flashSize}. Flashing may fail or leave the device unbootable.`;
+        console.log(`⚠️ ${message}`);
+        document.getElementById('flash-size-warning-text').textContent = `⚠️ ${message}`;
+        warning.classList.remove('hidden');
     }
 
-    updateConnectionSuccess() {
-        const connectButton = document.getElementById('connect-button');
-        connectButton.innerHTML = '✅ Device Connected!';
-        connectButton.style.background = 'var(--success-green)';
-        
-        // Add success animation
-        connectButton.style.transform = 'scale(1.05)';
-        setTimeout(() => {
-            connectButton.style.transform = 'scale(1)';
-        }, 200);
+    // "16MB" / "4096KB" -> bytes
+    parseFlashSize(text) {
+        const match = /^(\d+)\s*(KB|MB)$/i.exec(text || '');
+        if (!match) {
+            return null;
+        }
+        return parseInt(match[1], 10) * (match[2].toUpperCase() === 'MB' ? 1024 * 1024 : 1024);
     }
 
-    updateConnectionError() {
-        const connectButton = document.getElementById('connect-button');
-        connectButton.innerHTML = '<span class="button-text">Connect Device</span>';
-        connectButton.disabled = false;
+    renderVerificationReport(report) {
+        const list = document.getElementById('verification-report');
+        list.innerHTML = '';
         
-        // Show error feedback
-        connectButton.style.background = 'var(--error-red)';
-        setTimeout(() => {
-            connectButton.style.background = '';
-        }, 2000);
+        for (const part of report) {
+            const item = document.createElement('li');
+            item.className = part.status === 'verified' || part.status === 'unchanged' ? 'verified' : 'unverified';
+            const delta = part.skipped > 0 && part.written > 0 ? `, ${this.formatBytes(part.written)} written, ${this.formatBytes(part.skipped)} unchanged` : '';
+            item.textContent = `${part.path} @ 0x${part.address.toString(16)}: ${part.status}${part.reason ? ` (${part.reason})` : ''}${delta}`;
+            list.appendChild(item);
+        }
     }
 
-    selectVersion(selectedCard) {
-        // Remove selection from all cards
-        document.querySelectorAll('.version-card').forEach(card => {
-            card.classList.remove('selected');
-        });
-        
-        // Add selection to clicked card
-        selectedCard.classList.add('selected');
+    // Delta flashing result: image bytes sent to the device vs. left alone because they were already there
+    renderTransferSummary(stats) {
+        const summary = document.getElementById('transfer-summary');
+        if (!stats) {
+            summary.classList.add('hidden');
+            return;
+        }
         
-        // Update selected version
-        this.selectedVersion = selectedCard.dataset.version;
-        console.log('Selected version:', this.selectedVersion);
+        summary.textContent = `Transferred ${this.formatBytes(stats.written)}, skipped ${this.formatBytes(stats.skipped)} already on the device.`;
+        summary.classList.remove('hidden');
     }
 
-    proceedToFlashing() {
-        // Update summary with selected version
-        const versionInfo = this.versions.versions.find(v => v.version === this.selectedVersion);
-        if (versionInfo) {
-            document.getElementById('selected-version').textContent = versionInfo.name;
-        }
+    formatBytes(bytes) {
+        return bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${(bytes / 1024).toFixed(0)} KB`;
+    }
+
+    updateOtaSlotSummary(slot, reason) {
+        const summaryItem = document.getElementById('ota-slot-summary');
+        if (!summaryItem) return;
         
-        // Advance to step 3
-        this.advanceToStep(3);
+        document.getElementById('ota-slot-target').textContent = `ota_${slot} (${reason})`;
+        summaryItem.classList.remove('hidden');
     }
 
     advanceToStep(step) {
@@ -2519,7 +1622,6 @@ class ESP32Flasher {
         this.updateProgress(3);
         
         console.log('🎉 Humly Booking Device firmware flashing completed successfully!');
-        console.log('✅ Direct esptool-js approach with Windows flasher parameters worked!');
     }
 }
 
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+// ESP32 Web Flasher - sign release entries in firmware/versions.json (see release-signature.js)
+//
+//   node scripts/sign-release.js --generate-key ~/humly-release-key.jwk
+//       New P-256 key pair: private JWK written to the given file (keep it offline), public JWK printed
+//       for ReleaseSignature.PUBLIC_KEY
+//   node scripts/sign-release.js --key ~/humly-release-key.jwk [--version v1.36.0.16433]
+//       Hash every part of the release (and its manifest or flash args files) from disk, store the hashes in the
+//       entry and sign it; without --version every entry is re-signed
+//
+// Run from anywhere - paths in versions.json and the manifests are resolved against the repository root.
+
+const fs = require('fs');
+const path = require('path');
+const { createHash } = require('crypto');
+const { ReleaseSignature } = require('../release-signature.js');
+
+const ROOT = path.join(__dirname, '..');
+const VERSIONS_FILE = path.join(ROOT, 'firmware', 'versions.json');
+const FLASH_ARGS_FILES = ['flash_project_args', 'flash_app_args', 'bootloader-flash_args'];
+
+function parseArguments(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i].replace(/^--/, '');
+        options[key] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    }
+    return options;
+}
+
+function describeFile(file) {
+    const data = fs.readFileSync(file);
+    return { size: data.length, sha256: createHash('sha256').update(data).digest('hex') };
+}
+
+// Part paths of a release, relative to its version folder - from the manifest, else from the ESP-IDF flash args
+function listParts(entry, baseDir) {
+    if (entry.manifest) {
+        const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, entry.manifest), 'utf8'));
+        const build = (manifest.builds || []).find(b => b.chipFamily === 'ESP32-S3');
+        if (!build) {
+            throw new Error(`${entry.manifest} has no ESP32-S3 build`);
+        }
+        return build.parts.map(part => path.relative(baseDir, path.join(ROOT, part.path)).split(path.sep).join('/'));
+    }
+
+    const parts = new Set();
+    for (const name of FLASH_ARGS_FILES) {
+        const file = path.join(baseDir, name);
+        if (!fs.existsSync(file)) continue;
+
+        parts.add(name);
+        for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+            const match = line.trim().match(/^(0x[0-9a-f]+)\s+(\S+)$/i);
+            if (match) {
+                parts.add(match[2]);
+            }
+        }
+    }
+    return [...parts];
+}
+
+async function signRelease(entry, privateKey) {
+    const baseDir = path.join(ROOT, 'firmware', entry.path || entry.version);
+    const files = {};
+    for (const relativePath of listParts(entry, baseDir)) {
+        const file = path.join(baseDir, relativePath);
+        if (!fs.existsSync(file)) {
+            throw new Error(`${entry.version}: ${relativePath} not found in ${baseDir}`);
+        }
+        files[relativePath] = describeFile(file);
+    }
+
+    const hashes = {
+        manifestSha256: entry.manifest ? describeFile(path.join(ROOT, entry.manifest)).sha256 : undefined,
+        size: Object.entries(files)
+            .filter(([name]) => !FLASH_ARGS_FILES.includes(name))
+            .reduce((sum, [, file]) => sum + file.size, 0),
+        files: files
+    };
+
+    // Rebuild the entry with the hashes after "manifest" (or "path"), keeping the other fields where they were
+    const anchor = entry.manifest ? 'manifest' : 'path';
+    const signed = {};
+    for (const [key, value] of Object.entries(entry)) {
+        if (['size', 'files', 'manifestSha256', 'signature'].includes(key)) continue;
+
+        signed[key] = value;
+        if (key === anchor) {
+            Object.assign(signed, hashes);
+        }
+    }
+    if (!(anchor in entry)) {
+        Object.assign(signed, hashes);
+    }
+    signed.signature = await ReleaseSignature.sign(signed, privateKey);
+
+    console.log(`✍️ Signed ${entry.version}: ${Object.keys(files).length} files, ${hashes.size} bytes`);
+    return signed;
+}
+
+async function main() {
+    const options = parseArguments(process.argv.slice(2));
+
+    if (options['generate-key']) {
+        const keyPair = await crypto.subtle.generateKey(ReleaseSignature.KEY_ALGORITHM, true, ['sign', 'verify']);
+        const privateJwk = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
+        const publicJwk = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+        fs.writeFileSync(options['generate-key'], JSON.stringify(privateJwk, null, 2), { mode: 0o600, flag: 'wx' });
+
+        console.log(`🔑 Private key written to ${options['generate-key']} - keep it out of the repository`);
+        console.log('Public key for ReleaseSignature.PUBLIC_KEY in release-signature.js:');
+        console.log(JSON.stringify({ kty: publicJwk.kty, crv: publicJwk.crv, x: publicJwk.x, y: publicJwk.y }, null, 4));
+        return;
+    }
+
+    if (!options.key) {
+        throw new Error('Usage: node scripts/sign-release.js --key <private-key.jwk> [--version <version>] | --generate-key <file>');
+    }
+
+    const privateJwk = JSON.parse(fs.readFileSync(options.key, 'utf8'));
+    const privateKey = await crypto.subtle.importKey('jwk', privateJwk, ReleaseSignature.KEY_ALGORITHM, false, ['sign']);
+    const publicJwk = { kty: privateJwk.kty, crv: privateJwk.crv, x: privateJwk.x, y: privateJwk.y };
+
+    const versions = JSON.parse(fs.readFileSync(VERSIONS_FILE, 'utf8'));
+    const targets = versions.versions.filter(v => options.version === undefined || v.version === options.version);
+    if (targets.length === 0) {
+        throw new Error(`Version ${options.version} not found in ${VERSIONS_FILE}`);
+    }
+
+    for (const entry of targets) {
+        const signed = await signRelease(entry, privateKey);
+        versions.versions[versions.versions.indexOf(entry)] = signed;
+    }
+    fs.writeFileSync(VERSIONS_FILE, JSON.stringify(versions, null, 2));
+
+    // The page checks against the embedded key - warn if this key is not the one it will use
+    const embedded = ReleaseSignature.PUBLIC_KEY;
+    if (embedded.x !== publicJwk.x || embedded.y !== publicJwk.y) {
+        console.log('⚠️ This key is not ReleaseSignature.PUBLIC_KEY - the page will hide these releases');
+    }
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,103 @@
+// Delta flashing against the emulated ROM loader: only 4KB blocks that differ from flash are erased and written,
+// adjacent ones in one range, and finding them costs a 64KB-granular SPI_FLASH_MD5 pass plus 4KB ones where it differs
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { ESPLoader } = require('../esp-loader.js');
+const { WebSerialTransport } = require('../esp-transport.js');
+const { ESP32S3Emulator } = require('../esp32-rom-emulator.js');
+
+const root = path.join(__dirname, '..');
+
+// The loader fetches its stub relative to the page - serve it from the repository
+globalThis.fetch = async url => new Response(fs.readFileSync(path.join(root, url)));
+
+const SPI_FLASH_MD5 = 0x13;
+const ADDRESS = 0x100000;
+const BLOCK = 4096;
+
+// Loader on the stub after reset, SYNC and chip detection; delays are cut short
+async function connectEmulator(t) {
+    const log = console.log;
+    console.log = () => {};
+    t.after(() => { console.log = log; });
+
+    const emulator = new ESP32S3Emulator();
+    const loader = new ESPLoader(new WebSerialTransport(emulator.createPort()));
+    loader.delay = ms => new Promise(resolve => setTimeout(resolve, Math.min(ms, 10)));
+    await loader.connect();
+    await loader.enterBootloader();
+    await loader.detectChip();
+    loader.useOtaUpdate = false;
+    await loader.runStub();
+    return { emulator, loader };
+}
+
+function testImage(size) {
+    const data = new Uint8Array(size);
+    let value = 1;
+    for (let i = 0; i < size; i++) {
+        value = (value * 1103515245 + 12345) >>> 0;
+        data[i] = value >>> 24;
+    }
+    return data;
+}
+
+// The old image already on flash, and a new one that differs in the given 4KB blocks
+function imagesDifferingIn(size, blocks) {
+    const previous = testImage(size);
+    const next = previous.slice();
+    for (const block of blocks) {
+        next[block * BLOCK + 100] ^= 0xFF;
+    }
+    return { previous, next };
+}
+
+test('only the differing blocks are erased and written, adjacent ones as one range', async t => {
+    const { emulator, loader } = await connectEmulator(t);
+    const { previous, next } = imagesDifferingIn(256 * 1024 + 1000, [3, 4, 20, 64]);
+    emulator.flash.set(previous, ADDRESS);
+
+    const file = { address: ADDRESS, data: next, path: 'app.bin' };
+    await loader.esp32FlashFirmware([file]);
+
+    assert.deepStrictEqual(emulator.flashBegins, [
+        { address: ADDRESS + 3 * BLOCK, length: 2 * BLOCK },
+        { address: ADDRESS + 20 * BLOCK, length: BLOCK },
+        { address: ADDRESS + 64 * BLOCK, length: BLOCK } // 1000-byte tail, erased as a whole sector
+    ]);
+    assert.deepStrictEqual(file.transfer, { written: 3 * BLOCK + 1000, skipped: next.length - 3 * BLOCK - 1000 });
+    assert.strictEqual(file.verification.status, 'verified');
+    assert.deepStrictEqual(emulator.flash.subarray(ADDRESS, ADDRESS + next.length), next);
+});
+
+test('blocks are hashed 64KB at a time and per 4KB only inside 64KB blocks that differ', async t => {
+    const { emulator, loader } = await connectEmulator(t);
+    const { previous, next } = imagesDifferingIn(256 * 1024 + 1000, [3, 4, 20, 64]);
+    emulator.flash.set(previous, ADDRESS);
+
+    const before = emulator.commandCounts[SPI_FLASH_MD5] || 0;
+    const ranges = await loader.findChangedRanges({ address: ADDRESS, data: next, path: 'app.bin' });
+
+    assert.deepStrictEqual(ranges, [
+        { offset: 3 * BLOCK, length: 2 * BLOCK },
+        { offset: 20 * BLOCK, length: BLOCK },
+        { offset: 64 * BLOCK, length: 1000 }
+    ]);
+    // 5 x 64KB (the last one the 1000-byte tail, known to differ without a 4KB pass) + 2 x 16 x 4KB, not 65 x 4KB
+    assert.strictEqual(emulator.commandCounts[SPI_FLASH_MD5] - before, 5 + 2 * 16);
+});
+
+test('a 1MB part with one changed block costs 32 hash requests instead of 256', async t => {
+    const { emulator, loader } = await connectEmulator(t);
+    const { previous, next } = imagesDifferingIn(1024 * 1024, [200]);
+    emulator.flash.set(previous, ADDRESS);
+
+    const before = emulator.commandCounts[SPI_FLASH_MD5] || 0;
+    const ranges = await loader.findChangedRanges({ address: ADDRESS, data: next, path: 'app.bin' });
+
+    assert.deepStrictEqual(ranges, [{ offset: 200 * BLOCK, length: BLOCK }]);
+    assert.strictEqual(emulator.commandCounts[SPI_FLASH_MD5] - before, 16 + 16);
+});
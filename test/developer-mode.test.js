@@ -0,0 +1,153 @@
+// Developer mode end to end: the wizard (script.js) flashes local files into the emulated ROM loader. On a secure
+// boot device the application must land in an OTA slot and otadata must select it.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { ESPLoader } = require('../esp-loader.js');
+const { MergedImage } = require('../merged-image.js');
+
+const root = path.join(__dirname, '..');
+// The classic scripts in the order index.html loads them
+const SCRIPTS = Array.from(fs.readFileSync(path.join(root, 'index.html'), 'utf8').matchAll(/<script src="([^"]+)">/g), match => match[1]);
+
+// Just enough of an element for the wizard to render into
+function element(id) {
+    const classes = new Set();
+    return {
+        id: id, children: [], style: {}, dataset: {}, textContent: '', innerHTML: '', value: '', disabled: false,
+        classList: {
+            add: (...names) => names.forEach(name => classes.add(name)),
+            remove: (...names) => names.forEach(name => classes.delete(name)),
+            contains: name => classes.has(name),
+            toggle: (name, force = !classes.has(name)) => (force ? classes.add(name) : classes.delete(name), force)
+        },
+        appendChild(child) { this.children.push(child); return child; },
+        append(...children) { this.children.push(...children); },
+        replaceChildren(...children) { this.children = children; },
+        addEventListener() {},
+        setAttribute() {},
+        removeAttribute() {},
+        querySelector: () => element(),
+        querySelectorAll: () => [],
+        click() {},
+        scrollIntoView() {}
+    };
+}
+
+// The page's scripts in a context of their own, fetching from the repository, with the emulator selected by `preset`
+async function openWizard(t, preset, connect = true) {
+    const elements = {};
+    const quiet = { log() {}, error() {}, warn() {} };
+    const context = vm.createContext({
+        console: quiet, setTimeout, clearTimeout, TextEncoder, TextDecoder, URLSearchParams, Response, Blob, crypto, atob, btoa,
+        CompressionStream, DecompressionStream, ReadableStream, WritableStream, performance,
+        fetch: async url => new Response(fs.readFileSync(path.join(root, url.split('?')[0]))),
+        alert: () => {},
+        confirm: () => false,
+        URL: { createObjectURL: () => 'blob:test', revokeObjectURL() {} },
+        navigator: { userAgent: 'node', vendor: '' },
+        window: { location: { search: `?emulator=${preset}` }, addEventListener() {}, scrollTo() {} },
+        document: {
+            getElementById: id => elements[id] || (elements[id] = element(id)),
+            createElement: () => element(),
+            querySelector: () => element(),
+            querySelectorAll: () => [],
+            addEventListener() {},
+            head: element()
+        }
+    });
+    for (const file of SCRIPTS) {
+        vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), context, { filename: file });
+    }
+    // Delays are cut short, timeouts are not
+    vm.runInContext('ESPLoader.prototype.delay = ms => new Promise(resolve => setTimeout(resolve, Math.min(ms, 10)))', context);
+
+    const flasher = vm.runInContext('new ESP32Flasher()', context);
+    for (let wait = 0; wait < 500 && !flasher.selectedVersion; wait++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.ok(flasher.selectedVersion, 'a signed release is offered');
+    if (connect) {
+        await flasher.handleConnect();
+        assert.ok(flasher.portConnected, 'connected to the emulator');
+        t.after(() => flasher.disconnectDevice());
+    }
+    return { flasher, elements };
+}
+
+function firmware(name) {
+    return new Uint8Array(fs.readFileSync(path.join(root, 'firmware/v1.36.0.16433', name)));
+}
+
+// Flash contents the way the chip would decrypt them (copied out of the page's realm for deepStrictEqual)
+function decrypted(emulator, address, length) {
+    return Uint8Array.from(emulator.flash.subarray(address, address + length), (byte, i) => byte ^ emulator.keystream(address + i));
+}
+
+test('secure boot: a local application goes to the OTA slot and otadata selects it', async t => {
+    const { flasher, elements } = await openWizard(t, 'secure-boot');
+    assert.ok(flasher.loader.useOtaUpdate);
+
+    const app = firmware('hbd.bin');
+    flasher.localFiles = [{ name: 'hbd.bin', data: app, offsetText: '0x10000' }];
+    flasher.useLocalFiles = true;
+    await flasher.handleFlash();
+
+    assert.ok(!elements['flash-success'].classList.contains('hidden'), 'flash reported success');
+    const otaConfig = flasher.loader.otaConfig;
+    assert.strictEqual(flasher.loader.targetOtaSlot, 0, 'blank otadata - the factory app is running');
+    assert.deepStrictEqual(decrypted(flasher.emulator, otaConfig.ota0Partition, app.length), app, 'app in ota_0');
+    assert.ok(flasher.emulator.flash.subarray(0x10000, 0x10000 + 0x1000).every(byte => byte === 0xFF), 'typed offset left alone');
+
+    // esp_ota_select_entry_t for seq 1 (ota_0) in the first otadata sector
+    const entry = new DataView(decrypted(flasher.emulator, otaConfig.otaDataPartition, 32).buffer);
+    assert.strictEqual(entry.getUint32(0, true), 1);
+    assert.strictEqual(entry.getUint32(28, true), 0x4743989A);
+    assert.strictEqual(flasher.emulator.plaintextWrites.length, 0, 'every write encrypted');
+});
+
+test('secure boot: local files without an application leave otadata alone', async t => {
+    const { flasher, elements } = await openWizard(t, 'secure-boot');
+
+    const table = ESPLoader.parsePartitionTable(firmware('partition_table/partition-table.bin'));
+    const nvs = table.entries.find(p => p.label === 'nvs');
+    const data = new Uint8Array(0x1000).fill(0x5A);
+    flasher.localFiles = [{ name: 'nvs.bin', data: data, offsetText: `0x${nvs.offset.toString(16)}` }];
+    flasher.useLocalFiles = true;
+    await flasher.handleFlash();
+
+    assert.ok(!elements['flash-success'].classList.contains('hidden'), 'flash reported success');
+    assert.deepStrictEqual(decrypted(flasher.emulator, nvs.offset, data.length), data);
+    assert.strictEqual(flasher.loader.otaDataVerification, null, 'no otadata write');
+    assert.strictEqual(flasher.loader.targetOtaSlot, null);
+});
+
+// What the drop zone and file input hand to addLocalFiles()
+function droppedFile(name, data) {
+    return { name: name, arrayBuffer: async () => data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) };
+}
+
+test('a dropped merged image is split into parts, a broken one is reported in the panel', async t => {
+    const { flasher, elements } = await openWizard(t, '', false);
+    assert.strictEqual(flasher.loader, null, 'no device needed to split an image');
+
+    const merged = MergedImage.build([
+        { address: 0x0, data: firmware('bootloader/bootloader.bin') },
+        { address: 0xA000, data: firmware('partition_table/partition-table.bin') },
+        { address: 0x10000, data: firmware('hbd.bin') }
+    ]);
+    await flasher.addLocalFiles([droppedFile('merged.bin', merged)]);
+    assert.deepStrictEqual(Array.from(flasher.localFiles, f => [f.name, f.offsetText]), [
+        ['merged.bin [bootloader]', '0x0'],
+        ['merged.bin [partition-table]', '0xa000'],
+        ['merged.bin [factory]', '0x10000']
+    ]);
+
+    merged[0xA000 + 32] = 0x00;
+    await flasher.addLocalFiles([droppedFile('broken.bin', merged)]);
+    assert.match(elements['local-files-status'].textContent, /broken\.bin looks like a merged image, but its partition table at 0xa000 is invalid/);
+    assert.strictEqual(flasher.localFiles.length, 3, 'the previous files stay');
+});
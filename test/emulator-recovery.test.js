@@ -0,0 +1,142 @@
+// Flashing through the emulated ROM loader: injected faults must end in a verified write, flash encryption in
+// encrypted ROM writes only
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { ESPLoader } = require('../esp-loader.js');
+const { WebSerialTransport } = require('../esp-transport.js');
+const { ESP32S3Emulator } = require('../esp32-rom-emulator.js');
+
+const root = path.join(__dirname, '..');
+
+// The loader fetches its stub relative to the page - serve it from the repository
+globalThis.fetch = async url => new Response(fs.readFileSync(path.join(root, url)));
+
+// Connected loader after reset, SYNC and chip detection; delays are cut short, timeouts are not
+async function connectEmulator(emulatorOptions = {}, loaderOptions = {}) {
+    const emulator = new ESP32S3Emulator(emulatorOptions);
+    const loader = new ESPLoader(new WebSerialTransport(emulator.createPort()), loaderOptions);
+    loader.delay = ms => new Promise(resolve => setTimeout(resolve, Math.min(ms, 10)));
+
+    await loader.connect();
+    await loader.enterBootloader();
+    await loader.detectChip();
+    loader.useOtaUpdate = false; // No partition table here - plain writes at fixed offsets
+    return { emulator, loader };
+}
+
+// Deterministic test image that compresses like firmware does (partly)
+function testImage(size, seed = 1) {
+    const data = new Uint8Array(size);
+    let value = seed;
+    for (let i = 0; i < size; i++) {
+        value = (value * 1103515245 + 12345) >>> 0;
+        data[i] = i % 3 === 0 ? value >>> 24 : i & 0xFF;
+    }
+    return data;
+}
+
+// Keep the loader's progress chatter out of the test report
+function quietConsole(t) {
+    const log = console.log;
+    console.log = () => {};
+    t.after(() => { console.log = log; });
+}
+
+const FLASH_DEFL_BEGIN = 0x10;
+const FLASH_DATA = 0x03;
+const FLASH_DEFL_DATA = 0x11;
+const SYNC = 0x08;
+
+async function flashOnePart(loader, address = 0x20000, size = 64 * 1024) {
+    const file = { address: address, data: testImage(size), path: 'app.bin' };
+    await loader.esp32FlashFirmware([file]);
+    return file;
+}
+
+test('emulator MD5 matches node:crypto', () => {
+    const emulator = new ESP32S3Emulator();
+    for (const size of [0, 1, 55, 56, 63, 64, 65, 4096, 100003]) {
+        const bytes = crypto.randomBytes(size);
+        assert.strictEqual(emulator.md5(new Uint8Array(bytes)), crypto.createHash('md5').update(bytes).digest('hex'), `${size} bytes`);
+    }
+});
+
+test('clean flash through the stub is verified', async t => {
+    quietConsole(t);
+    const { emulator, loader } = await connectEmulator();
+    await loader.runStub();
+
+    const file = await flashOnePart(loader);
+    assert.strictEqual(file.verification.status, 'verified');
+    assert.deepStrictEqual(emulator.flash.subarray(file.address, file.address + file.data.length), file.data);
+});
+
+test('corrupted FLASH_DEFL_DATA packet is resent', async t => {
+    quietConsole(t);
+    const { loader, emulator } = await connectEmulator();
+    await loader.runStub();
+    emulator.faults.badChecksum.push({ cmd: FLASH_DEFL_DATA, count: 1 });
+
+    const file = await flashOnePart(loader);
+    assert.strictEqual(file.verification.status, 'verified');
+});
+
+// The recovery SYNCs go unanswered, so esp32Sync() resets the chip: the ROM is back, without the stub
+test('reset during recovery brings the stub back before verifying', async t => {
+    quietConsole(t);
+    const { loader, emulator } = await connectEmulator();
+    await loader.runStub();
+    emulator.faults.ignore.push({ cmd: FLASH_DEFL_BEGIN, count: 1 }, { cmd: SYNC, count: 7 });
+
+    const file = await flashOnePart(loader);
+    assert.strictEqual(file.verification.status, 'verified');
+    assert.strictEqual(loader.stubActive, true);
+    assert.strictEqual(emulator.stubActive, true);
+});
+
+test('reset during recovery at 921600 baud follows the ROM to 115200 and renegotiates', async t => {
+    quietConsole(t);
+    const { loader, emulator } = await connectEmulator();
+    await loader.runStub();
+    assert.strictEqual(await loader.negotiateBaudRate(921600), true);
+    emulator.faults.ignore.push({ cmd: FLASH_DEFL_BEGIN, count: 1 }, { cmd: SYNC, count: 7 });
+
+    const file = await flashOnePart(loader);
+    assert.strictEqual(file.verification.status, 'verified');
+    assert.strictEqual(loader.currentBaudRate, 921600);
+    assert.strictEqual(emulator.baudRate, 921600);
+});
+
+test('flash encryption: no stub, encrypted uncompressed ROM writes', async t => {
+    quietConsole(t);
+    const { loader, emulator } = await connectEmulator({ secureBoot: true, flashCryptCnt: 1 });
+    assert.strictEqual(loader.flashEncryptionEnabled, true);
+    assert.strictEqual(loader.stubEnabled, false);
+
+    const file = await flashOnePart(loader, 0x20000, 16 * 1024);
+    assert.strictEqual(file.verification.status, 'unverified');
+    assert.deepStrictEqual(emulator.plaintextWrites, []);
+});
+
+test('flash encryption: a write through the stub is refused', async t => {
+    quietConsole(t);
+    const { loader, emulator } = await connectEmulator({ secureBoot: true, flashCryptCnt: 1 });
+    loader.stubEnabled = true;
+    await loader.runStub();
+
+    await assert.rejects(flashOnePart(loader, 0x20000, 4096), /flash encryption/);
+    assert.deepStrictEqual(emulator.plaintextWrites, []);
+});
+
+test('parts go out in flashPacketSize packets', async t => {
+    quietConsole(t);
+    for (const [options, packets] of [[{}, 32], [{ flashPacketSize: 4096 }, 4]]) {
+        const { loader, emulator } = await connectEmulator({ secureBoot: true, flashCryptCnt: 1 }, options);
+        await flashOnePart(loader, 0x20000, 16 * 1024);
+        assert.strictEqual(emulator.commandCounts[FLASH_DATA], packets, JSON.stringify(options));
+    }
+});
@@ -0,0 +1,275 @@
+// ESP image headers, checked against the shipped build output
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const { ESPLoader } = require('../esp-loader.js');
+const { ESPImage } = require('../esp-image.js');
+
+const FIRMWARE = path.join(__dirname, '../firmware/v1.36.0.16433');
+
+function firmware(name) {
+    return new Uint8Array(fs.readFileSync(path.join(FIRMWARE, name)));
+}
+
+test('ESPImage resolves ESPLoader without page globals', () => {
+    assert.strictEqual(typeof globalThis.ESPLoader, 'undefined');
+    assert.strictEqual(ESPImage.ESPLoader, ESPLoader);
+});
+
+test('check names the chip from the shared table', () => {
+    const image = ESPImage.parse(firmware('bootloader/bootloader.bin'), 'bootloader.bin');
+    assert.doesNotThrow(() => image.check(ESPLoader.ESP32S3_CHIP_ID, 'bootloader.bin'));
+    assert.throws(() => image.check(5, 'bootloader.bin'), /built for ESP32-S3, not ESP32-C3/);
+});
+
+// XOR of every segment's data, seeded with 0xEF - computed here from the segment table esptool documents
+function segmentChecksum(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let offset = 24;
+    let checksum = 0xEF;
+    for (let i = 0; i < data[1]; i++) {
+        const length = view.getUint32(offset + 4, true);
+        offset += 8;
+        data.subarray(offset, offset + length).forEach(byte => { checksum ^= byte; });
+        offset += length;
+    }
+    return { checksum, checksumOffset: offset + (15 - (offset % 16)) };
+}
+
+test('the shipped bootloader header and segments', () => {
+    const image = ESPImage.parse(firmware('bootloader/bootloader.bin'), 'bootloader.bin');
+
+    assert.strictEqual(image.chipId, ESPLoader.ESP32S3_CHIP_ID);
+    assert.deepStrictEqual([image.flashMode, image.flashFreq, image.flashSize], ['dio', '80m', '16MB']);
+    assert.strictEqual(image.entryPoint, 0x403C8878);
+    assert.deepStrictEqual(image.segments, [
+        { loadAddress: 0x3FCE2990, offset: 0x20, length: 3260 },
+        { loadAddress: 0x403C8700, offset: 0xCE4, length: 2832 },
+        { loadAddress: 0x403CB700, offset: 0x17FC, length: 16460 }
+    ]);
+    assert.strictEqual(image.appDescriptor, null, 'only applications carry esp_app_desc_t');
+});
+
+test('the checksum byte is checked against the XOR of the segment data', () => {
+    for (const name of ['bootloader/bootloader.bin', 'hbd.bin']) {
+        const data = firmware(name);
+        const { checksum, checksumOffset } = segmentChecksum(data);
+        const image = ESPImage.parse(data, name);
+
+        assert.strictEqual(image.checksum, checksum, name);
+        assert.strictEqual(data[checksumOffset], checksum, name);
+        assert.ok(image.checksumValid, name);
+    }
+
+    const data = firmware('bootloader/bootloader.bin');
+    data[0x20 + 100] ^= 0x01;
+    const corrupted = ESPImage.parse(data, 'bootloader.bin');
+    assert.strictEqual(corrupted.checksumValid, false);
+    assert.throws(() => corrupted.check(ESPLoader.ESP32S3_CHIP_ID, 'bootloader.bin'), /bootloader\.bin has a bad checksum/);
+});
+
+test('the appended SHA-256 covers everything up to the checksum byte', async () => {
+    for (const name of ['bootloader/bootloader.bin', 'hbd.bin']) {
+        const data = firmware(name);
+        const image = ESPImage.parse(data, name);
+        const { checksumOffset } = segmentChecksum(data);
+
+        assert.strictEqual(image.length, checksumOffset + 1 + 32, name);
+        assert.strictEqual(image.sha256, crypto.createHash('sha256').update(data.subarray(0, checksumOffset + 1)).digest('hex'), name);
+        assert.strictEqual(await image.verifyHash(), true, name);
+    }
+
+    const data = firmware('bootloader/bootloader.bin');
+    const image = ESPImage.parse(data, 'bootloader.bin');
+    data[image.length - 1] ^= 0x01; // Last byte of the stored digest
+    const tampered = ESPImage.parse(data, 'bootloader.bin');
+    assert.strictEqual(await tampered.verifyHash(), false);
+    assert.throws(() => tampered.check(ESPLoader.ESP32S3_CHIP_ID, 'bootloader.bin'), /does not match its SHA-256/);
+});
+
+test('the shipped application carries its esp_app_desc_t', () => {
+    const image = ESPImage.parse(firmware('hbd.bin'), 'hbd.bin');
+
+    assert.strictEqual(image.segments.length, 9);
+    assert.strictEqual(image.segments[0].loadAddress, 0x3C120020);
+    assert.deepStrictEqual(image.appDescriptor, {
+        secureVersion: 0,
+        version: '2025-09-09_v1.36.0.16433',
+        projectName: 'hbd',
+        time: '10:02:28',
+        date: 'Sep  9 2025',
+        idfVersion: 'v5.5.1',
+        elfSha256: '89588f68c515df653f7a242f48efc3994cf11e8d5ad3f36ee01439af02402183',
+        minEfuseBlockRevision: 0,
+        maxEfuseBlockRevision: 199,
+        mmuPageSize: 0x10000
+    });
+});
+
+test('anything else, or an image cut short, is refused by name', () => {
+    assert.throws(() => ESPImage.parse(new Uint8Array(64).fill(0xFF), 'blank.bin'), /blank\.bin is not an ESP image \(magic 0xff, expected 0xe9\)/);
+    assert.throws(() => ESPImage.parse(firmware('bootloader/bootloader.bin').slice(0, 0x1000), 'short.bin'),
+        /short\.bin is truncated in segment 1 \(2832 bytes at 0xce4\)/);
+    const image = ESPImage.parse(firmware('bootloader/bootloader.bin'));
+    assert.throws(() => ESPImage.parse(firmware('bootloader/bootloader.bin').slice(0, image.length - 1), 'short.bin'),
+        /short\.bin is truncated before its SHA-256/);
+});
+
+// The shipped bootloader without its signature sector, so its header may be patched
+function unsignedBootloader() {
+    const data = firmware('bootloader/bootloader.bin');
+    return data.slice(0, ESPImage.parse(data).length);
+}
+
+test('withFlashParams patches header bytes 2-3 and recomputes the SHA-256', async t => {
+    const log = console.log;
+    console.log = () => {};
+    t.after(() => { console.log = log; });
+
+    const data = unsignedBootloader();
+    const image = ESPImage.parse(data, 'bootloader.bin');
+    assert.strictEqual(image.signatureBlocks.length, 0);
+    const patched = await image.withFlashParams('qio', '40m', '4MB', 'bootloader.bin');
+
+    assert.deepStrictEqual([patched[2], patched[3]], [0x00, 0x20]);
+    const digest = crypto.createHash('sha256').update(patched.subarray(0, image.length - 32)).digest();
+    assert.deepStrictEqual(patched.subarray(image.length - 32), new Uint8Array(digest));
+    assert.deepStrictEqual(patched.subarray(4, image.length - 32), data.subarray(4, image.length - 32), 'nothing else changes');
+
+    const reparsed = ESPImage.parse(patched, 'bootloader.bin');
+    assert.deepStrictEqual([reparsed.flashMode, reparsed.flashFreq, reparsed.flashSize], ['qio', '40m', '4MB']);
+    assert.ok(reparsed.checksumValid, 'the header is outside the checksum');
+    assert.strictEqual(await reparsed.verifyHash(), true);
+    assert.deepStrictEqual([data[2], data[3]], [0x02, 0x4F], 'the original is left alone');
+});
+
+test('withFlashParams keeps what is "keep", unchanged or signed', async t => {
+    const log = console.log;
+    console.log = () => {};
+    t.after(() => { console.log = log; });
+
+    const image = ESPImage.parse(unsignedBootloader(), 'bootloader.bin');
+    assert.strictEqual(await image.withFlashParams('dio', '80m', '16MB'), image.data, 'already set');
+    assert.strictEqual(await image.withFlashParams('keep', null, 'keep'), image.data);
+    const sizeOnly = await image.withFlashParams('keep', 'keep', '8MB');
+    assert.deepStrictEqual([sizeOnly[2], sizeOnly[3]], [0x02, 0x3F]);
+
+    const signed = ESPImage.parse(firmware('bootloader/bootloader.bin'), 'bootloader.bin');
+    assert.strictEqual(signed.signatureBlocks.length, 1);
+    assert.strictEqual(await signed.withFlashParams('qio', '40m', '4MB', 'bootloader.bin'), signed.data, 'a patch would break the signature');
+});
+
+test('withFlashParams refuses settings the ESP32-S3 header cannot hold', async () => {
+    const image = ESPImage.parse(unsignedBootloader(), 'bootloader.bin');
+    for (const [mode, freq, size] of [['dio', '26m', '16MB'], ['fast', '80m', '16MB'], ['dio', '80m', '3MB']]) {
+        await assert.rejects(image.withFlashParams(mode, freq, size, 'bootloader.bin'),
+            new RegExp(`bootloader\\.bin: unsupported flash settings ${mode} ${freq} ${size}`));
+    }
+});
+
+// Secure Boot v2 signature block as espsecure sign_data writes it, for an RSA-3072 key made by node:crypto:
+// magic E7, version 02, 2 pad, image_digest[32], n[384], e, rinv[384], mdash, signature[384], crc32, 16 pad
+function signatureBlock(signed, privateKey, publicKey = crypto.createPublicKey(privateKey)) {
+    const bigEndian = bytes => Buffer.from(bytes).reverse();
+    const toBigInt = bytes => BigInt('0x' + Buffer.from(bytes).toString('hex'));
+    const littleEndian = (value, length) => bigEndian(Buffer.from(value.toString(16).padStart(length * 2, '0'), 'hex'));
+
+    const jwk = publicKey.export({ format: 'jwk' });
+    const n = toBigInt(Buffer.from(jwk.n, 'base64url'));
+    let inverse = 1n; // n^-1 mod 2^32 by Newton's iteration (n is odd)
+    for (let i = 0; i < 5; i++) inverse = (inverse * (2n - n * inverse)) % (1n << 32n);
+
+    const block = Buffer.alloc(1216);
+    block.set([0xE7, 0x02]);
+    block.set(crypto.createHash('sha256').update(signed).digest(), 4);
+    block.set(littleEndian(n, 384), 36);
+    block.writeUInt32LE(Number(toBigInt(Buffer.from(jwk.e, 'base64url'))), 420);
+    block.set(littleEndian((1n << 6144n) % n, 384), 424);
+    block.writeUInt32LE(Number((-inverse) & 0xFFFFFFFFn), 808);
+    const signature = crypto.sign('sha256', signed, { key: privateKey, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 });
+    block.set(bigEndian(signature), 812);
+    block.writeUInt32LE(zlib.crc32(block.subarray(0, 1196)), 1196);
+    return new Uint8Array(block);
+}
+
+// The unsigned bootloader padded to 4KB, then a signature sector holding `blocks`
+function signedImage(blocks) {
+    const image = unsignedBootloader();
+    const signedLength = Math.ceil(image.length / 4096) * 4096;
+    const data = new Uint8Array(signedLength + 4096).fill(0xFF);
+    data.set(image);
+    blocks(data.subarray(0, signedLength)).forEach((block, i) => data.set(block, signedLength + i * 1216));
+    return data;
+}
+
+const keyPair = () => crypto.generateKeyPairSync('rsa', { modulusLength: 3072 });
+
+test('the shipped images carry one valid Secure Boot v2 signature block', async () => {
+    for (const name of ['bootloader/bootloader.bin', 'hbd.bin']) {
+        const image = ESPImage.parse(firmware(name), name);
+        const [block] = await image.verifySignatures();
+
+        assert.strictEqual(image.signatureBlocks.length, 1, name);
+        assert.strictEqual(block.sectorOffset, Math.ceil(image.length / 4096) * 4096, name);
+        assert.deepStrictEqual([block.crcValid, block.imageDigestValid, block.signatureValid], [true, true, true], name);
+        assert.strictEqual(block.keyDigest, crypto.createHash('sha256').update(block.publicKey).digest('hex'), name);
+
+        // rinv and mdash as signatureBlock() derives them from n
+        const value = bytes => BigInt('0x' + Buffer.from(bytes).reverse().toString('hex'));
+        const n = value(block.modulus);
+        assert.strictEqual(value(block.publicKey.subarray(388, 772)), (1n << 6144n) % n, name);
+        assert.strictEqual((value(block.publicKey.subarray(772, 776)) * n + 1n) % (1n << 32n), 0n, name);
+    }
+});
+
+test('a block signed with a generated key verifies, and its key digest covers n, e, rinv and mdash', async () => {
+    const { privateKey } = keyPair();
+    const data = signedImage(signed => [signatureBlock(signed, privateKey)]);
+    const image = ESPImage.parse(data, 'signed.bin');
+    const [block] = await image.verifySignatures();
+
+    assert.deepStrictEqual([block.crcValid, block.imageDigestValid, block.signatureValid], [true, true, true]);
+    assert.strictEqual(block.exponent, 65537);
+    const sector = block.sectorOffset;
+    assert.strictEqual(block.keyDigest, crypto.createHash('sha256').update(data.subarray(sector + 36, sector + 812)).digest('hex'));
+});
+
+test('a tampered image fails both the digest and the signature', async () => {
+    const { privateKey } = keyPair();
+    const data = signedImage(signed => [signatureBlock(signed, privateKey)]);
+    data[0x20 + 100] ^= 0x01;
+    const [block] = await ESPImage.parse(data, 'signed.bin').verifySignatures();
+
+    assert.strictEqual(block.crcValid, true);
+    assert.strictEqual(block.imageDigestValid, false);
+    assert.strictEqual(block.signatureValid, false);
+});
+
+test('a signature made with another key than the block names fails, the others still verify', async () => {
+    const first = keyPair();
+    const second = keyPair();
+    const data = signedImage(signed => [
+        signatureBlock(signed, second.privateKey, first.publicKey),
+        signatureBlock(signed, second.privateKey)
+    ]);
+    const blocks = await ESPImage.parse(data, 'signed.bin').verifySignatures();
+
+    assert.deepStrictEqual(blocks.map(b => [b.imageDigestValid, b.signatureValid]), [[true, false], [true, true]]);
+    assert.notStrictEqual(blocks[0].keyDigest, blocks[1].keyDigest);
+});
+
+test('a block with a broken CRC is reported, and the sector ends at the first block without the magic', async () => {
+    const { privateKey } = keyPair();
+    const data = signedImage(signed => [signatureBlock(signed, privateKey)]);
+    const image = ESPImage.parse(data, 'signed.bin');
+    data[image.signatureBlocks[0].sectorOffset + 1196] ^= 0x01;
+
+    const blocks = ESPImage.parse(data, 'signed.bin').signatureBlocks;
+    assert.strictEqual(blocks.length, 1);
+    assert.strictEqual(blocks[0].crcValid, false);
+    assert.deepStrictEqual(ESPImage.parse(unsignedBootloader()).signatureBlocks, []);
+});
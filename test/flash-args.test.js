@@ -0,0 +1,84 @@
+// ESP-IDF flash args files as the flasher reads them for releases without a manifest
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { FlashArgs } = require('../flash-args.js');
+
+const root = path.join(__dirname, '..');
+
+function args(version, name) {
+    return FlashArgs.parse(fs.readFileSync(path.join(root, 'firmware', version, name), 'utf8'), name);
+}
+
+test('the shipped flash_project_args lists the options and every part but the bootloader', () => {
+    const parsed = args('v1.35.1.12304', 'flash_project_args');
+
+    assert.deepStrictEqual(parsed.options, { flash_mode: 'dio', flash_freq: '80m', flash_size: '16MB' });
+    assert.deepStrictEqual(parsed.entries.map(e => [e.offset, e.file]), [
+        [0x10000, 'hbd.bin'],
+        [0xA000, 'partition_table/partition-table.bin'],
+        [0x910000, 'ota_data_initial.bin'],
+        [0x912000, 'phy_init_data.bin'],
+        [0x914000, 'assets.bin']
+    ]);
+    assert.ok(parsed.entries.every(e => e.source === 'flash_project_args'));
+});
+
+test('the shipped bootloader-flash_args of both releases place the bootloader at 0x0', () => {
+    for (const version of ['v1.35.1.12304', 'v1.36.0.16433']) {
+        const parsed = args(version, 'bootloader-flash_args');
+        assert.deepStrictEqual(parsed.entries.map(e => [e.offset, e.file]), [[0, 'bootloader/bootloader.bin']], version);
+        assert.deepStrictEqual(parsed.options, { flash_mode: 'dio', flash_freq: '80m', flash_size: '16MB' }, version);
+    }
+});
+
+test('merged, the shipped args give the same layout as the release manifest', () => {
+    const version = 'v1.35.1.12304';
+    const merged = FlashArgs.merge(
+        args(version, 'flash_project_args'),
+        args(version, 'flash_app_args'),
+        args(version, 'bootloader-flash_args')
+    );
+
+    // manifest-v1.35.1.json was written by hand for the same build
+    const build = JSON.parse(fs.readFileSync(path.join(root, 'manifest-v1.35.1.json'), 'utf8')).builds[0];
+    const sorted = merged.entries.slice().sort((a, b) => a.offset - b.offset);
+    assert.deepStrictEqual(sorted.map(e => [e.offset, `./firmware/${version}/${e.file}`]), build.parts.map(p => [p.offset, p.path]));
+    assert.deepStrictEqual(merged.options, { flash_mode: build.flashMode, flash_freq: build.flashFreq, flash_size: build.flashSize });
+    assert.strictEqual(`./firmware/${version}/${merged.appFile}`, build.parts.find(p => p.isApplication).path);
+    assert.strictEqual(sorted[0].source, 'bootloader-flash_args');
+});
+
+test('without flash_app_args the image at 0x10000 is the application', () => {
+    const project = FlashArgs.parse('--flash_mode dio\n0x8000 partition-table.bin\n0x10000 app.bin\n', 'flash_project_args');
+    assert.strictEqual(FlashArgs.merge(project, null, null).appFile, 'app.bin');
+    assert.strictEqual(FlashArgs.merge(FlashArgs.parse('0x8000 partition-table.bin'), null, null).appFile, null);
+});
+
+test('flag options, decimal offsets and CRLF line ends', () => {
+    const parsed = FlashArgs.parse('--flash_mode qio --no-stub --flash_size 4MB\r\n\r\n65536   app.bin\r\n');
+    assert.deepStrictEqual(parsed.options, { flash_mode: 'qio', 'no-stub': true, flash_size: '4MB' });
+    assert.deepStrictEqual(parsed.entries.map(e => [e.offset, e.file]), [[0x10000, 'app.bin']]);
+});
+
+test('malformed lines and reused offsets are refused by file and line', () => {
+    assert.throws(() => FlashArgs.parse('--flash_mode dio\n0x10000\n', 'flash_app_args'),
+        /flash_app_args line 2: expected "<offset> <file>", got "0x10000"/);
+    assert.throws(() => FlashArgs.parse('0x1g000 app.bin', 'flash_app_args'), /line 1: expected "<offset> <file>"/);
+    assert.throws(() => FlashArgs.parse('0x10000 app.bin\n65536 other.bin', 'flash_project_args'),
+        /flash_project_args line 2: offset 65536 already used by app\.bin/);
+});
+
+test('merging refuses conflicting options and two files at one offset', () => {
+    const project = args('v1.35.1.12304', 'flash_project_args');
+
+    const otherFreq = FlashArgs.parse('--flash_freq 40m\n0x0 bootloader.bin', 'bootloader-flash_args');
+    assert.throws(() => FlashArgs.merge(project, null, otherFreq),
+        /Conflicting --flash_freq in bootloader-flash_args: 40m \(flash_project_args says 80m\)/);
+
+    const otherApp = FlashArgs.parse('0x10000 other.bin', 'flash_app_args');
+    assert.throws(() => FlashArgs.merge(project, otherApp, null),
+        /Offset 0x10000 is assigned to both hbd\.bin \(flash_project_args\) and other\.bin \(flash_app_args\)/);
+});
@@ -0,0 +1,42 @@
+// ESPLoader.md5Hash decides whether a written region counts as verified - it must be a correct MD5
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { ESPLoader } = require('../esp-loader.js');
+
+const md5Hash = data => ESPLoader.md5Hash(data);
+
+test('RFC 1321 appendix A.5 test suite', () => {
+    const vectors = [
+        ['', 'd41d8cd98f00b204e9800998ecf8427e'],
+        ['a', '0cc175b9c0f1b6a831c399e269772661'],
+        ['abc', '900150983cd24fb0d6963f7d28e17f72'],
+        ['message digest', 'f96b697d7cb7938d525a2f31aaf161d0'],
+        ['abcdefghijklmnopqrstuvwxyz', 'c3fcd3d76192e4007dfb496cca67e13b'],
+        ['ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789', 'd174ab98d277d9f5a5611c2c9f419d9f'],
+        ['1234567890'.repeat(8), '57edf4a22be3c955ac49da2e2107b67a']
+    ];
+    for (const [input, digest] of vectors) {
+        assert.strictEqual(md5Hash(new TextEncoder().encode(input)), digest, JSON.stringify(input));
+    }
+});
+
+test('matches node:crypto around every padding boundary and on flash-sized data', () => {
+    const sizes = [];
+    for (let size = 0; size <= 130; size++) {
+        sizes.push(size);
+    }
+    sizes.push(4095, 4096, 4097, 65536, 1048576 + 3);
+
+    for (const size of sizes) {
+        const bytes = crypto.randomBytes(size);
+        assert.strictEqual(md5Hash(new Uint8Array(bytes)), crypto.createHash('md5').update(bytes).digest('hex'), `${size} bytes`);
+    }
+});
+
+test('hashes a subarray view, not its whole buffer', () => {
+    const buffer = new Uint8Array(crypto.randomBytes(256));
+    const view = buffer.subarray(16, 80);
+    assert.strictEqual(md5Hash(view), crypto.createHash('md5').update(view).digest('hex'));
+});
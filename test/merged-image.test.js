@@ -0,0 +1,110 @@
+// Merged single images: what MergedImage.build lays out, MergedImage.split must give back part for part
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { MergedImage } = require('../merged-image.js');
+
+const root = path.join(__dirname, '..');
+
+// The shipped release as the manifest lays it out
+function releaseParts() {
+    const manifest = JSON.parse(fs.readFileSync(path.join(root, 'manifest.json'), 'utf8'));
+    return manifest.builds[0].parts.map(part => ({
+        path: part.path,
+        address: part.offset,
+        data: new Uint8Array(fs.readFileSync(path.join(root, part.path)))
+    }));
+}
+
+function quietConsole(t) {
+    const log = console.log;
+    console.log = () => {};
+    t.after(() => { console.log = log; });
+}
+
+// Every non-fill byte of the original parts comes back at the same offset, and nothing else is written
+function assertRoundTrip(parts, split, length) {
+    const rebuilt = new Uint8Array(length).fill(0xFF);
+    for (const part of split) {
+        const offset = parseInt(part.offsetText, 16);
+        assert.strictEqual(offset % 0x1000, 0, `${part.name} starts on a sector`);
+        rebuilt.set(part.data, offset);
+    }
+    assert.deepStrictEqual(rebuilt, MergedImage.build(parts, length));
+}
+
+test('build puts each part at its address with 0xFF in between', () => {
+    const parts = [
+        { address: 0x0, data: new Uint8Array([0xE9, 1, 2]) },
+        { address: 0x1000, data: new Uint8Array([3, 4]) }
+    ];
+    const merged = MergedImage.build(parts);
+
+    assert.strictEqual(merged.length, 0x1002);
+    assert.deepStrictEqual(merged.subarray(0, 3), parts[0].data);
+    assert.ok(merged.subarray(3, 0x1000).every(byte => byte === 0xFF));
+    assert.deepStrictEqual(merged.subarray(0x1000), parts[1].data);
+    assert.strictEqual(MergedImage.build(parts, 0x4000).length, 0x4000, 'padded');
+    assert.throws(() => MergedImage.build(parts, 0x1001), /runs past the end of the 4097-byte image/);
+});
+
+test('the shipped release splits back into its parts', t => {
+    quietConsole(t);
+    const parts = releaseParts();
+    const merged = MergedImage.build(parts);
+    const split = MergedImage.split(merged, 'hbd-merged.bin');
+
+    assert.deepStrictEqual(split.map(p => [p.name, p.offsetText]), [
+        ['hbd-merged.bin [bootloader]', '0x0'],
+        ['hbd-merged.bin [partition-table]', '0xa000'],
+        ['hbd-merged.bin [factory]', '0x10000'],
+        ['hbd-merged.bin [otadata]', '0x910000'],
+        ['hbd-merged.bin [phy_init]', '0x912000'],
+        ['hbd-merged.bin [assets]', '0x914000']
+    ]);
+    // Trailing 0xFF (erased flash) may be cut at a sector boundary or added up to one - nothing else differs
+    for (const part of parts) {
+        const piece = split.find(p => parseInt(p.offsetText, 16) === part.address);
+        const shared = Math.min(piece.data.length, part.data.length);
+        assert.deepStrictEqual(piece.data.subarray(0, shared), part.data.subarray(0, shared), part.path);
+        assert.ok(piece.data.subarray(shared).every(byte => byte === 0xFF), `${part.path}: only fill added`);
+        assert.ok(part.data.subarray(shared).every(byte => byte === 0xFF), `${part.path}: only fill cut`);
+    }
+    assertRoundTrip(parts, split, merged.length);
+});
+
+test('a merged image padded to the flash size splits the same way', t => {
+    quietConsole(t);
+    const parts = releaseParts();
+    const split = MergedImage.split(MergedImage.build(parts, 16 * 1024 * 1024), 'padded.bin');
+
+    assert.deepStrictEqual(split.map(p => p.name.replace('padded.bin ', '')),
+        ['[bootloader]', '[partition-table]', '[factory]', '[otadata]', '[phy_init]', '[assets]'],
+        'ota_0, ota_1 and storage hold only fill');
+    assertRoundTrip(parts, split, 16 * 1024 * 1024);
+});
+
+test('otadata is written whole even when it is only fill', t => {
+    quietConsole(t);
+    const parts = releaseParts().filter(part => !/ota_data_initial/.test(part.path));
+    const split = MergedImage.split(MergedImage.build(parts), 'merged.bin');
+    const otadata = split.find(p => p.name === 'merged.bin [otadata]');
+
+    assert.strictEqual(otadata.data.length, 0x2000);
+    assert.ok(otadata.data.every(byte => byte === 0xFF));
+});
+
+test('anything but a merged image is left to the caller', () => {
+    const app = new Uint8Array(fs.readFileSync(path.join(root, 'firmware/v1.36.0.16433/hbd.bin')));
+    assert.strictEqual(MergedImage.split(app, 'hbd.bin'), null, 'no partition table inside');
+    assert.strictEqual(MergedImage.split(new Uint8Array(0x10000).fill(0xFF), 'blank.bin'), null);
+});
+
+test('a merged image with a broken partition table is refused by name', () => {
+    const merged = MergedImage.build(releaseParts());
+    merged[0xA000 + 32] = 0x00; // Magic of the second entry
+    assert.throws(() => MergedImage.split(merged, 'broken.bin'),
+        /broken\.bin looks like a merged image, but its partition table at 0xa000 is invalid: Invalid partition table entry at 0x20/);
+});
@@ -0,0 +1,120 @@
+// otadata select entries (esp_ota_select_entry_t) as the ESP-IDF bootloader reads them
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ESPLoader } = require('../esp-loader.js');
+
+const OTA_SECTOR_SIZE = 0x1000;
+
+// Loader with an otadata partition and `otaCount` app slots, no transport needed
+function loaderWithOtaSlots(t, otaCount) {
+    const log = console.log;
+    console.log = () => {};
+    t.after(() => { console.log = log; });
+
+    const loader = new ESPLoader(null);
+    const entries = [{ label: 'otadata', type: 0x01, subtype: 0x00, offset: 0xD000, size: 0x2000 }];
+    for (let slot = 0; slot < otaCount; slot++) {
+        entries.push({ label: `ota_${slot}`, type: 0x00, subtype: 0x10 + slot, offset: 0x110000 + slot * 0x200000, size: 0x200000 });
+    }
+    loader.setPartitionTable({ entries: entries });
+    return loader;
+}
+
+function otaDataWith(sectors) {
+    const otaData = new Uint8Array(2 * OTA_SECTOR_SIZE).fill(0xFF);
+    sectors.forEach((entry, index) => {
+        if (entry) {
+            otaData.set(entry, index * OTA_SECTOR_SIZE);
+        }
+    });
+    return otaData;
+}
+
+// 0xCBF43926 is the published CRC-32 check value of "123456789"
+test('ESPLoader.crc32 is static and has zlib seed semantics', () => {
+    const check = new TextEncoder().encode('123456789');
+    assert.strictEqual(ESPLoader.crc32(check), 0xCBF43926);
+    assert.strictEqual(ESPLoader.crc32(new Uint8Array(0)), 0);
+    assert.strictEqual(ESPLoader.crc32(check.slice(4), ESPLoader.crc32(check.slice(0, 4))), 0xCBF43926, 'seeded continuation');
+});
+
+// crc32(seq, 0xFFFFFFFF) as in bootloader_common_ota_select_crc(); values from zlib.crc32(struct.pack('<I', seq), 0xFFFFFFFF)
+test('entry CRC matches ESP-IDF for known sequence numbers', t => {
+    const loader = loaderWithOtaSlots(t, 2);
+    const known = { 1: 0x4743989A, 2: 0x55F63774, 3: 0xED4A5011, 16: 0xAFE6A860, 0xFFFFFFFE: 0x99F8B879 };
+
+    for (const [seq, crc] of Object.entries(known)) {
+        const entry = loader.encodeOtaSelectEntry(Number(seq));
+        const view = new DataView(entry.buffer);
+        assert.strictEqual(view.getUint32(0, true), Number(seq));
+        assert.strictEqual(view.getUint32(24, true), 0xFFFFFFFF, 'ota_state undefined');
+        assert.strictEqual(view.getUint32(28, true), crc, `crc of seq ${seq}`);
+        assert.ok(entry.slice(4, 24).every(byte => byte === 0xFF), 'seq_label left erased');
+    }
+});
+
+test('seq 1 entry has the esp_ota_select_entry_t layout that selects ota_0', t => {
+    const loader = loaderWithOtaSlots(t, 2);
+    const expected = new Uint8Array(32).fill(0xFF);
+    expected.set([0x01, 0x00, 0x00, 0x00], 0);
+    expected.set([0x9A, 0x98, 0x43, 0x47], 28);
+    assert.deepStrictEqual(loader.encodeOtaSelectEntry(1), expected);
+});
+
+test('active slot is (seq - 1) % slot count of the highest valid entry', t => {
+    for (const otaCount of [2, 3, 4]) {
+        const loader = loaderWithOtaSlots(t, otaCount);
+        for (let seq = 1; seq <= 9; seq++) {
+            const decoded = loader.decodeOtaData(otaDataWith([loader.encodeOtaSelectEntry(seq), loader.encodeOtaSelectEntry(seq + 1)]));
+            assert.strictEqual(decoded.activeSector, 1);
+            assert.strictEqual(decoded.activeSeq, seq + 1);
+            assert.strictEqual(decoded.activeSlot, seq % otaCount, `seq ${seq + 1} of ${otaCount} slots`);
+        }
+    }
+});
+
+test('blank, bad-CRC, invalid and aborted entries are skipped like the bootloader does', t => {
+    const loader = loaderWithOtaSlots(t, 2);
+
+    const blank = loader.decodeOtaData(otaDataWith([]));
+    assert.strictEqual(blank.blank, true);
+    assert.strictEqual(blank.activeSlot, null);
+
+    const corrupted = loader.encodeOtaSelectEntry(7);
+    corrupted[28] ^= 0x01;
+    const withBadCrc = loader.decodeOtaData(otaDataWith([loader.encodeOtaSelectEntry(4), corrupted]));
+    assert.strictEqual(withBadCrc.activeSeq, 4);
+    assert.strictEqual(withBadCrc.activeSlot, 1);
+
+    for (const state of [3, 4]) {
+        const decoded = loader.decodeOtaData(otaDataWith([loader.encodeOtaSelectEntry(2), loader.encodeOtaSelectEntry(3, state)]));
+        assert.strictEqual(decoded.activeSeq, 2, `state ${state}`);
+        assert.strictEqual(decoded.activeSlot, 1);
+    }
+
+    const allInvalid = loader.decodeOtaData(otaDataWith([corrupted, loader.encodeOtaSelectEntry(5, 3)]));
+    assert.strictEqual(allInvalid.blank, false);
+    assert.strictEqual(allInvalid.activeSlot, null);
+});
+
+test('new otadata continues the sequence and selects the target slot in both sectors', t => {
+    const cases = [
+        { otaCount: 2, activeSeq: 0, target: 0, seq: 1 },
+        { otaCount: 2, activeSeq: 0, target: 1, seq: 2 },
+        { otaCount: 2, activeSeq: 5, target: 1, seq: 6 },
+        { otaCount: 2, activeSeq: 5, target: 0, seq: 7 },
+        { otaCount: 3, activeSeq: 4, target: 0, seq: 7 }
+    ];
+    for (const { otaCount, activeSeq, target, seq } of cases) {
+        const loader = loaderWithOtaSlots(t, otaCount);
+        loader.targetOtaSlot = target;
+        const otaData = loader.createOtaDataStructure(activeSeq ? { activeSeq: activeSeq } : null);
+
+        assert.strictEqual(otaData.length, 0x2000);
+        const decoded = loader.decodeOtaData(otaData);
+        assert.strictEqual(decoded.activeSeq, seq, `from seq ${activeSeq} to ota_${target} of ${otaCount}`);
+        assert.strictEqual(decoded.activeSlot, target);
+        assert.ok(decoded.sectors.every(sector => sector.valid && sector.seq === seq), 'both sectors carry the entry');
+    }
+});
@@ -0,0 +1,139 @@
+// Partition table binaries (gen_esp32part.py format) and the OTA layout derived from them
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { ESPLoader } = require('../esp-loader.js');
+
+// 32-byte entry: AA 50, type, subtype, offset, size, label[16], flags
+function entry(label, type, subtype, offset, size, flags = 0) {
+    const bytes = new Uint8Array(32);
+    const view = new DataView(bytes.buffer);
+    bytes.set([0xAA, 0x50, type, subtype]);
+    view.setUint32(4, offset, true);
+    view.setUint32(8, size, true);
+    bytes.set(new TextEncoder().encode(label), 12);
+    view.setUint32(28, flags, true);
+    return bytes;
+}
+
+// Entries, then (unless md5 is false) EB EB, 14 x FF and the MD5 of the entries - node:crypto computes it here
+function table(entries, md5 = true) {
+    const bytes = new Uint8Array(0xC00).fill(0xFF);
+    entries.forEach((e, index) => bytes.set(e, index * 32));
+    if (md5) {
+        const covered = entries.length * 32;
+        const digest = md5 === true ? crypto.createHash('md5').update(bytes.subarray(0, covered)).digest() : md5;
+        bytes.set([0xEB, 0xEB], covered);
+        bytes.set(digest, covered + 16);
+    }
+    return bytes;
+}
+
+const LAYOUT = [
+    entry('nvs', 0x01, 0x02, 0x9000, 0x6000),
+    entry('otadata', 0x01, 0x00, 0xF000, 0x2000),
+    entry('phy_init', 0x01, 0x01, 0x11000, 0x1000),
+    entry('factory', 0x00, 0x00, 0x20000, 0x100000),
+    entry('ota_0', 0x00, 0x10, 0x120000, 0x100000),
+    entry('ota_1', 0x00, 0x11, 0x220000, 0x180000),
+    entry('storage', 0x01, 0x82, 0x3A0000, 0x60000, 0x1)
+];
+
+test('entries are decoded with type, subtype, offset, size and encrypted flag', () => {
+    const parsed = ESPLoader.parsePartitionTable(table(LAYOUT));
+
+    assert.deepStrictEqual(parsed.entries.map(p => [p.label, p.typeName, p.subtypeName, p.offset, p.size, p.encrypted]), [
+        ['nvs', 'data', 'nvs', 0x9000, 0x6000, false],
+        ['otadata', 'data', 'ota', 0xF000, 0x2000, false],
+        ['phy_init', 'data', 'phy', 0x11000, 0x1000, false],
+        ['factory', 'app', 'factory', 0x20000, 0x100000, false],
+        ['ota_0', 'app', 'ota_0', 0x120000, 0x100000, false],
+        ['ota_1', 'app', 'ota_1', 0x220000, 0x180000, false],
+        ['storage', 'data', 'spiffs', 0x3A0000, 0x60000, true]
+    ]);
+});
+
+test('the 0xEBEB entry carries the MD5 of every entry before it', () => {
+    const bytes = table(LAYOUT);
+    const parsed = ESPLoader.parsePartitionTable(bytes);
+
+    assert.strictEqual(parsed.md5DataLength, LAYOUT.length * 32);
+    assert.strictEqual(parsed.md5, crypto.createHash('md5').update(bytes.subarray(0, LAYOUT.length * 32)).digest('hex'));
+    assert.strictEqual(parsed.entries.length, LAYOUT.length, 'the MD5 entry is not a partition');
+});
+
+test('a table without an MD5 entry parses (CONFIG_PARTITION_TABLE_MD5 off)', () => {
+    const parsed = ESPLoader.parsePartitionTable(table(LAYOUT, false));
+    assert.strictEqual(parsed.md5, null);
+    assert.strictEqual(parsed.entries.length, LAYOUT.length);
+});
+
+test('a wrong MD5 or a changed entry is refused', () => {
+    assert.throws(() => ESPLoader.parsePartitionTable(table(LAYOUT, new Uint8Array(16))), /Partition table MD5 mismatch/);
+
+    const bytes = table(LAYOUT);
+    bytes[4 * 32 + 4] ^= 0x01; // ota_0 offset, after the MD5 was taken
+    assert.throws(() => ESPLoader.parsePartitionTable(bytes), /Partition table MD5 mismatch/);
+});
+
+test('bad magic and empty tables are refused', () => {
+    const bytes = table(LAYOUT, false);
+    bytes[32] = 0x00;
+    assert.throws(() => ESPLoader.parsePartitionTable(bytes), /Invalid partition table entry at 0x20/);
+    assert.throws(() => ESPLoader.parsePartitionTable(new Uint8Array(0xC00).fill(0xFF)), /contains no entries/);
+});
+
+test('the shipped partition table parses and matches its MD5', () => {
+    const file = path.join(__dirname, '../firmware/v1.36.0.16433/partition_table/partition-table.bin');
+    const bytes = new Uint8Array(fs.readFileSync(file));
+    const parsed = ESPLoader.parsePartitionTable(bytes);
+
+    assert.strictEqual(parsed.md5, crypto.createHash('md5').update(bytes.subarray(0, parsed.md5DataLength)).digest('hex'));
+    assert.deepStrictEqual(parsed.entries.filter(p => p.type === 0x00).map(p => p.label), ['factory', 'ota_0', 'ota_1']);
+});
+
+test('setPartitionTable derives the OTA layout', () => {
+    const loader = new ESPLoader(null);
+    loader.setPartitionTable(ESPLoader.parsePartitionTable(table(LAYOUT)));
+
+    const { otaPartitions, ...config } = loader.otaConfig;
+    assert.deepStrictEqual(otaPartitions.map(p => p.label), ['ota_0', 'ota_1']);
+    assert.deepStrictEqual(config, {
+        otaDataPartition: 0xF000,
+        otaDataSize: 0x2000,
+        ota0Partition: 0x120000,
+        ota1Partition: 0x220000,
+        factoryPartition: 0x20000,
+        maxOtaSize: 0x100000
+    });
+});
+
+test('without ota_N partitions there is no OTA target', async t => {
+    const log = console.log;
+    console.log = () => {};
+    t.after(() => { console.log = log; });
+
+    const loader = new ESPLoader(null);
+    loader.setPartitionTable(ESPLoader.parsePartitionTable(table(LAYOUT.filter((e, i) => i !== 4 && i !== 5))));
+
+    assert.strictEqual(loader.otaConfig.ota0Partition, null);
+    assert.strictEqual(loader.otaConfig.maxOtaSize, 0);
+    await assert.rejects(loader.determineOtaSlot(), /no ota_0 partition/);
+});
+
+test('without otadata the boot slot cannot be read or written', async t => {
+    const log = console.log;
+    console.log = () => {};
+    t.after(() => { console.log = log; });
+
+    const loader = new ESPLoader(null);
+    loader.setPartitionTable(ESPLoader.parsePartitionTable(table(LAYOUT.filter((e, i) => i !== 1))));
+
+    assert.strictEqual(loader.otaConfig.otaDataPartition, null);
+    assert.strictEqual(await loader.readDeviceOtaData(), null);
+    loader.targetOtaSlot = 1;
+    await assert.rejects(loader.updateOtaDataPartition(), /no otadata partition/);
+});
@@ -0,0 +1,109 @@
+// Signed release entries: what scripts/sign-release.js signs, ReleaseSignature.verify must accept - and nothing else
+const test = require('node:test');
+const assert = require('node:assert');
+const nodeCrypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { ReleaseSignature, RELEASE_SIGNING_CONTEXT } = require('../release-signature.js');
+
+const root = path.join(__dirname, '..');
+const VERSIONS = JSON.parse(fs.readFileSync(path.join(root, 'firmware/versions.json'), 'utf8')).versions;
+
+function sha256(data) {
+    return nodeCrypto.createHash('sha256').update(data).digest('hex');
+}
+
+// A fresh P-256 key pair, the public half as the JWK ReleaseSignature.PUBLIC_KEY holds
+async function generateKey() {
+    const keyPair = await crypto.subtle.generateKey(ReleaseSignature.KEY_ALGORITHM, true, ['sign', 'verify']);
+    const { kty, crv, x, y } = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+    return { privateKey: keyPair.privateKey, publicJwk: { kty, crv, x, y } };
+}
+
+function releaseEntry() {
+    return {
+        version: 'v9.9.9.1',
+        name: '9.9.9',
+        path: 'v9.9.9.1',
+        manifest: './manifest-v9.9.9.json',
+        manifestSha256: sha256('manifest'),
+        size: 7,
+        files: {
+            'bootloader/bootloader.bin': { size: 3, sha256: sha256('abc') },
+            'hbd.bin': { size: 4, sha256: sha256('defg') }
+        },
+        changelog: ['First']
+    };
+}
+
+test('an entry signed with a generated key verifies against that key only', async () => {
+    const { privateKey, publicJwk } = await generateKey();
+    const entry = releaseEntry();
+    entry.signature = await ReleaseSignature.sign(entry, privateKey);
+
+    assert.strictEqual(await ReleaseSignature.verify(entry, publicJwk), true);
+    assert.strictEqual(await ReleaseSignature.verify(entry), false, 'not the release key');
+    assert.strictEqual(await ReleaseSignature.verify(entry, (await generateKey()).publicJwk), false);
+});
+
+test('the signature covers the context string and the entry as sorted, compact JSON', async () => {
+    const { privateKey, publicJwk } = await generateKey();
+    const entry = { version: 'v1', files: { 'b.bin': { sha256: 'bb', size: 2 }, 'a.bin': { size: 1, sha256: 'aa' } }, size: 3 };
+    entry.signature = await ReleaseSignature.sign(entry, privateKey);
+
+    const payload = 'hbd-release-v1\n{"files":{"a.bin":{"sha256":"aa","size":1},"b.bin":{"sha256":"bb","size":2}},"size":3,"version":"v1"}';
+    assert.strictEqual(RELEASE_SIGNING_CONTEXT + ReleaseSignature.canonicalize({ ...entry, signature: undefined }), payload);
+    const key = nodeCrypto.createPublicKey({ key: publicJwk, format: 'jwk' });
+    assert.ok(nodeCrypto.verify('sha256', Buffer.from(payload), { key, dsaEncoding: 'ieee-p1363' }, Buffer.from(entry.signature, 'base64')),
+        'node:crypto accepts the raw r||s signature over that payload');
+
+    // Key order in versions.json does not matter
+    const reordered = { size: 3, signature: entry.signature, files: { 'a.bin': { sha256: 'aa', size: 1 }, 'b.bin': entry.files['b.bin'] }, version: 'v1' };
+    assert.strictEqual(await ReleaseSignature.verify(reordered, publicJwk), true);
+});
+
+test('changing any file hash, size or the manifest hash breaks the signature', async () => {
+    const { privateKey, publicJwk } = await generateKey();
+    const signed = releaseEntry();
+    signed.signature = await ReleaseSignature.sign(signed, privateKey);
+
+    const changes = [
+        ...Object.keys(signed.files).map(name => entry => { entry.files[name].sha256 = sha256('swapped'); }),
+        ...Object.keys(signed.files).map(name => entry => { entry.files[name].size += 1; }),
+        entry => { entry.manifestSha256 = sha256('other manifest'); },
+        entry => { delete entry.manifestSha256; },
+        entry => { entry.files['extra.bin'] = { size: 1, sha256: sha256('x') }; },
+        entry => { entry.size += 1; },
+        entry => { entry.manifest = './manifest.json'; }
+    ];
+    for (const [index, change] of changes.entries()) {
+        const entry = JSON.parse(JSON.stringify(signed));
+        change(entry);
+        assert.strictEqual(await ReleaseSignature.verify(entry, publicJwk), false, `change ${index}`);
+    }
+});
+
+test('unsigned entries and malformed signatures are refused without throwing', async t => {
+    const log = console.log;
+    console.log = () => {};
+    t.after(() => { console.log = log; });
+
+    const { publicJwk } = await generateKey();
+    for (const signature of [undefined, '', 42, 'not base64!', btoa('short')]) {
+        assert.strictEqual(await ReleaseSignature.verify({ ...releaseEntry(), signature }, publicJwk), false, String(signature));
+    }
+});
+
+test('the shipped versions.json entries verify against the release key and pin the files on disk', async () => {
+    assert.ok(VERSIONS.length > 0);
+    for (const entry of VERSIONS) {
+        assert.strictEqual(await ReleaseSignature.verify(entry), true, entry.version);
+
+        assert.strictEqual(entry.manifestSha256, sha256(fs.readFileSync(path.join(root, entry.manifest))), entry.version);
+        for (const [name, file] of Object.entries(entry.files)) {
+            const data = fs.readFileSync(path.join(root, 'firmware', entry.path || entry.version, name));
+            assert.deepStrictEqual({ size: data.length, sha256: sha256(data) }, file, `${entry.version} ${name}`);
+        }
+    }
+});
@@ -0,0 +1,116 @@
+// SLIP framing of loader responses: frames cut anywhere by USB, several per chunk, and late responses that must not
+// answer a later command
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { ESPLoader, SlipReader } = require('../esp-loader.js');
+const { WebSerialTransport } = require('../esp-transport.js');
+const { ESP32S3Emulator } = require('../esp32-rom-emulator.js');
+
+const root = path.join(__dirname, '..');
+
+// The loader fetches its stub relative to the page - serve it from the repository
+globalThis.fetch = async url => new Response(fs.readFileSync(path.join(root, url)));
+
+// Transport stand-in: read() hands out the chunks the test pushes, in order
+function chunkTransport() {
+    const chunks = [];
+    let pending = null;
+    return {
+        push(...bytes) {
+            const chunk = new Uint8Array(bytes);
+            if (pending) {
+                pending(chunk);
+                pending = null;
+            } else {
+                chunks.push(chunk);
+            }
+        },
+        read: () => chunks.length > 0 ? Promise.resolve(chunks.shift()) : new Promise(resolve => { pending = resolve; }),
+        cancelRead: async () => pending && pending(null)
+    };
+}
+
+function quietConsole(t) {
+    const log = console.log;
+    console.log = () => {};
+    t.after(() => { console.log = log; });
+}
+
+test('frames split inside an escape sequence are put back together', async t => {
+    const transport = chunkTransport();
+    const reader = new SlipReader(transport);
+    t.after(() => reader.close());
+
+    const frame = reader.readFrame();
+    transport.push(0xC0, 0x01, 0xDB);
+    transport.push(0xDC, 0x02, 0xDB);
+    transport.push(0xDD);
+    transport.push(0x03, 0xC0);
+    assert.deepStrictEqual(Array.from(await frame), [0x01, 0xC0, 0x02, 0xDB, 0x03]);
+});
+
+test('several frames in one chunk are handed out one by one, noise between them ignored', async t => {
+    const transport = chunkTransport();
+    const reader = new SlipReader(transport);
+    t.after(() => reader.close());
+
+    transport.push(0xC0, 0x01, 0xC0, 0x0D, 0x0A, 0xC0, 0xC0, 0x02, 0xDB, 0xDC, 0xC0, 0xC0, 0x03);
+    transport.push(0xC0);
+    assert.deepStrictEqual(Array.from(await reader.readFrame()), [0x01]);
+    assert.deepStrictEqual(Array.from(await reader.readFrame()), [0x02, 0xC0]);
+    assert.deepStrictEqual(Array.from(await reader.readFrame()), [0x03]);
+});
+
+test('frames nobody asked for are dropped by discardFrames', async t => {
+    quietConsole(t);
+    const transport = chunkTransport();
+    const reader = new SlipReader(transport);
+    t.after(() => reader.close());
+
+    transport.push(0xC0, 0x01, 0xC0, 0xC0, 0x02, 0xC0);
+    await new Promise(resolve => setImmediate(resolve));
+    reader.discardFrames();
+
+    const next = reader.readFrame();
+    transport.push(0xC0, 0x03, 0xC0);
+    assert.deepStrictEqual(Array.from(await next), [0x03]);
+});
+
+test('a late response to an earlier command does not answer the next one with the same opcode', async t => {
+    quietConsole(t);
+    const emulator = new ESP32S3Emulator({ registers: { 0x60008000: 0x11111111, 0x60008004: 0x22222222 } });
+    const loader = new ESPLoader(new WebSerialTransport(emulator.createPort()));
+    loader.delay = ms => new Promise(resolve => setTimeout(resolve, Math.min(ms, 10)));
+    await loader.connect();
+    await loader.enterBootloader();
+    t.after(() => loader.disconnect());
+
+    // The first READ_REG is answered after the loader gave up on it
+    emulator.faults.delay = 1200;
+    await assert.rejects(loader.esp32ReadRegValue(0x60008000), /Response timeout/);
+    emulator.faults.delay = 0;
+    await new Promise(resolve => setTimeout(resolve, 400));
+
+    assert.strictEqual(await loader.esp32ReadRegValue(0x60008004), 0x22222222);
+    assert.strictEqual(await loader.esp32ReadRegValue(0x60008000), 0x11111111);
+});
+
+test('stub READ_FLASH still streams its data frames after the command flush', async t => {
+    quietConsole(t);
+    const emulator = new ESP32S3Emulator();
+    const loader = new ESPLoader(new WebSerialTransport(emulator.createPort()));
+    loader.delay = ms => new Promise(resolve => setTimeout(resolve, Math.min(ms, 10)));
+    await loader.connect();
+    await loader.enterBootloader();
+    await loader.detectChip();
+    await loader.runStub();
+    t.after(() => loader.disconnect());
+
+    const data = Uint8Array.from({ length: 3 * 4096 + 100 }, (_, i) => (i * 7) & 0xFF);
+    emulator.flash.set(data, 0x30000);
+    emulator.faults.split = 1000; // Data blocks straddle USB chunks
+    assert.deepStrictEqual(await loader.stubReadFlash(0x30000, data.length), data);
+});
@@ -0,0 +1,135 @@
+// ZIP reader: central directory walk and per-entry CRC-32 against the shared ESPLoader table
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const { ESPLoader } = require('../esp-loader.js');
+const { ZipArchive } = require('../zip-archive.js');
+
+test('ZipArchive resolves ESPLoader without page globals', () => {
+    assert.strictEqual(typeof globalThis.ESPLoader, 'undefined');
+    assert.strictEqual(ZipArchive.ESPLoader, ESPLoader);
+});
+
+// Local headers, central directory and end record for { name, data, crc, method, flags } entries: stored unless
+// method is 8 (deflated with zlib), CRC-32 from zlib unless given
+function buildZip(files) {
+    const locals = [];
+    const centrals = [];
+    let localOffset = 0;
+    for (const file of files) {
+        const nameBytes = new TextEncoder().encode(file.name);
+        const method = file.method || ZipArchive.METHOD_STORED;
+        const stored = method === ZipArchive.METHOD_DEFLATED ? new Uint8Array(zlib.deflateRawSync(file.data)) : file.data;
+        const crc = file.crc === undefined ? zlib.crc32(file.data) : file.crc;
+
+        const local = new Uint8Array(30 + nameBytes.length + stored.length);
+        const localView = new DataView(local.buffer);
+        localView.setUint32(0, ZipArchive.LOCAL_FILE_HEADER, true);
+        localView.setUint16(6, file.flags || 0, true);
+        localView.setUint16(8, method, true);
+        localView.setUint32(14, crc, true);
+        localView.setUint32(18, stored.length, true);
+        localView.setUint32(22, file.data.length, true);
+        localView.setUint16(26, nameBytes.length, true);
+        local.set(nameBytes, 30);
+        local.set(stored, 30 + nameBytes.length);
+
+        const central = new Uint8Array(46 + nameBytes.length);
+        const centralView = new DataView(central.buffer);
+        centralView.setUint32(0, ZipArchive.CENTRAL_DIRECTORY_ENTRY, true);
+        centralView.setUint16(8, file.flags || 0, true);
+        centralView.setUint16(10, method, true);
+        centralView.setUint32(16, crc, true);
+        centralView.setUint32(20, stored.length, true);
+        centralView.setUint32(24, file.data.length, true);
+        centralView.setUint16(28, nameBytes.length, true);
+        centralView.setUint32(42, localOffset, true);
+        central.set(nameBytes, 46);
+
+        locals.push(local);
+        centrals.push(central);
+        localOffset += local.length;
+    }
+
+    const centralLength = centrals.reduce((sum, central) => sum + central.length, 0);
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, ZipArchive.END_OF_CENTRAL_DIRECTORY, true);
+    endView.setUint16(8, files.length, true);
+    endView.setUint16(10, files.length, true);
+    endView.setUint32(12, centralLength, true);
+    endView.setUint32(16, localOffset, true);
+
+    const zip = new Uint8Array(localOffset + centralLength + end.length);
+    let offset = 0;
+    for (const part of [...locals, ...centrals, end]) {
+        zip.set(part, offset);
+        offset += part.length;
+    }
+    return zip;
+}
+
+test('read checks each entry against its CRC-32', async () => {
+    const data = new TextEncoder().encode('123456789');
+    const archive = ZipArchive.parse(buildZip([{ name: 'check.txt', data: data, crc: 0xCBF43926 }]), 'check.zip');
+    assert.deepStrictEqual(await archive.read('check.txt'), data);
+
+    const corrupted = ZipArchive.parse(buildZip([{ name: 'check.txt', data: data, crc: 0xCBF43927 }]), 'corrupted.zip');
+    await assert.rejects(corrupted.read('check.txt'), /corrupted\.zip: check\.txt fails its CRC-32 check/);
+});
+
+test('deflated and stored entries side by side, directories left out', async () => {
+    const app = new Uint8Array(fs.readFileSync(path.join(__dirname, '../firmware/v1.36.0.16433/partition_table/partition-table.bin')));
+    const args = new TextEncoder().encode('--flash_mode dio\n0x10000 hbd.bin\n');
+    const zip = buildZip([
+        { name: 'build/', data: new Uint8Array(0) },
+        { name: 'build/partition_table/partition-table.bin', data: app, method: ZipArchive.METHOD_DEFLATED },
+        { name: 'build\\flash_app_args', data: args },
+        { name: 'partition-table.bin', data: app, method: ZipArchive.METHOD_DEFLATED }
+    ]);
+    const archive = ZipArchive.parse(zip, 'bundle.zip');
+
+    assert.ok(ZipArchive.isZip(zip));
+    assert.deepStrictEqual([...archive.entries.keys()],
+        ['build/partition_table/partition-table.bin', 'build/flash_app_args', 'partition-table.bin']);
+    const entry = archive.entries.get('build/partition_table/partition-table.bin');
+    assert.strictEqual(entry.method, ZipArchive.METHOD_DEFLATED);
+    assert.ok(entry.compressedSize < entry.size, 'actually compressed');
+
+    assert.deepStrictEqual(await archive.read('build/partition_table/partition-table.bin'), app);
+    assert.deepStrictEqual(await archive.read('build/flash_app_args'), args);
+    assert.deepStrictEqual(archive.find('partition-table.bin'), ['partition-table.bin', 'build/partition_table/partition-table.bin']);
+    await assert.rejects(archive.read('hbd.bin'), /hbd\.bin not found in bundle\.zip/);
+});
+
+test('a deflated entry is checked against its CRC-32 after inflating', async () => {
+    const data = new TextEncoder().encode('0x10000 hbd.bin\n'.repeat(20));
+    const archive = ZipArchive.parse(buildZip([
+        { name: 'flash_project_args', data: data, method: ZipArchive.METHOD_DEFLATED, crc: zlib.crc32(data) ^ 1 }
+    ]), 'bundle.zip');
+    await assert.rejects(archive.read('flash_project_args'), /bundle\.zip: flash_project_args fails its CRC-32 check/);
+});
+
+test('ZIP64, encrypted and unknown compression are refused by name', async () => {
+    const data = new TextEncoder().encode('hbd');
+    const zip = buildZip([{ name: 'hbd.bin', data: data }]);
+    const end = zip.length - 22;
+
+    const manyEntries = zip.slice();
+    new DataView(manyEntries.buffer).setUint16(end + 10, 0xFFFF, true);
+    assert.throws(() => ZipArchive.parse(manyEntries, 'big.zip'), /big\.zip is a ZIP64 archive - not supported/);
+    const farDirectory = zip.slice();
+    new DataView(farDirectory.buffer).setUint32(end + 16, 0xFFFFFFFF, true);
+    assert.throws(() => ZipArchive.parse(farDirectory, 'big.zip'), /big\.zip is a ZIP64 archive - not supported/);
+
+    assert.throws(() => ZipArchive.parse(buildZip([{ name: 'hbd.bin', data: data, flags: 0x1 }]), 'secret.zip'),
+        /secret\.zip: hbd\.bin is encrypted - not supported/);
+
+    const bzip2 = ZipArchive.parse(buildZip([{ name: 'hbd.bin', data: data, method: 12 }]), 'bzip2.zip');
+    await assert.rejects(bzip2.read('hbd.bin'), /bzip2\.zip: hbd\.bin uses compression method 12/);
+
+    assert.throws(() => ZipArchive.parse(data, 'hbd.bin'), /hbd\.bin is not a ZIP archive \(no central directory\)/);
+});
@@ -0,0 +1,126 @@
+// ESP32 Web Flasher - minimal ZIP reader for build bundles (CI artifacts, zipped release folders)
+// Central directory, stored and deflated entries (DecompressionStream 'deflate-raw') and the CRC-32 of each
+// entry, all in the browser. No ZIP64, no encryption - those archives are refused with a clear message.
+// CRC-32 comes from ESPLoader (esp-loader.js, loaded before this file).
+
+class ZipArchive {
+    static get END_OF_CENTRAL_DIRECTORY() { return 0x06054B50; }
+    static get CENTRAL_DIRECTORY_ENTRY() { return 0x02014B50; }
+    static get LOCAL_FILE_HEADER() { return 0x04034B50; }
+    static get METHOD_STORED() { return 0; }
+    static get METHOD_DEFLATED() { return 8; }
+
+    // The page's ESPLoader global, or the module when running under Node
+    static get ESPLoader() {
+        return typeof ESPLoader !== 'undefined' ? ESPLoader : require('./esp-loader.js').ESPLoader;
+    }
+
+    constructor(data, name) {
+        this.data = data;
+        this.name = name;
+        this.entries = new Map(); // path -> { path, method, crc32, compressedSize, size, localHeaderOffset }
+    }
+
+    static isZip(data) {
+        return data.length >= 4 && new DataView(data.buffer, data.byteOffset, 4).getUint32(0, true) === ZipArchive.LOCAL_FILE_HEADER;
+    }
+
+    // Directory only - entry data is inflated on read()
+    static parse(data, name = 'archive') {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+        // The end record sits in the last 22 bytes plus up to 64KB of archive comment
+        let end = -1;
+        for (let i = data.length - 22; i >= Math.max(0, data.length - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === ZipArchive.END_OF_CENTRAL_DIRECTORY) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) {
+            throw new Error(`${name} is not a ZIP archive (no central directory)`);
+        }
+
+        const entryCount = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        if (entryCount === 0xFFFF || offset === 0xFFFFFFFF) {
+            throw new Error(`${name} is a ZIP64 archive - not supported, re-create it with a plain zip tool`);
+        }
+
+        const archive = new ZipArchive(data, name);
+        for (let i = 0; i < entryCount; i++) {
+            if (offset + 46 > data.length || view.getUint32(offset, true) !== ZipArchive.CENTRAL_DIRECTORY_ENTRY) {
+                throw new Error(`${name} has a corrupted central directory (entry ${i})`);
+            }
+
+            const flags = view.getUint16(offset + 8, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const path = new TextDecoder().decode(data.slice(offset + 46, offset + 46 + nameLength)).replace(/\\/g, '/');
+
+            if (!path.endsWith('/')) {
+                if (flags & 0x1) {
+                    throw new Error(`${name}: ${path} is encrypted - not supported`);
+                }
+                archive.entries.set(path, {
+                    path: path,
+                    method: view.getUint16(offset + 10, true),
+                    crc32: view.getUint32(offset + 16, true),
+                    compressedSize: view.getUint32(offset + 20, true),
+                    size: view.getUint32(offset + 24, true),
+                    localHeaderOffset: view.getUint32(offset + 42, true)
+                });
+            }
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return archive;
+    }
+
+    has(path) {
+        return this.entries.has(path);
+    }
+
+    // Uncompressed bytes of an entry, checked against the size and CRC-32 in the central directory
+    async read(path) {
+        const entry = this.entries.get(path);
+        if (!entry) {
+            throw new Error(`${path} not found in ${this.name}`);
+        }
+
+        const view = new DataView(this.data.buffer, this.data.byteOffset, this.data.byteLength);
+        const header = entry.localHeaderOffset;
+        if (header + 30 > this.data.length || view.getUint32(header, true) !== ZipArchive.LOCAL_FILE_HEADER) {
+            throw new Error(`${this.name}: local header of ${path} is corrupted`);
+        }
+        const start = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+        const compressed = this.data.slice(start, start + entry.compressedSize);
+
+        let data;
+        if (entry.method === ZipArchive.METHOD_STORED) {
+            data = compressed;
+        } else if (entry.method === ZipArchive.METHOD_DEFLATED) {
+            const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            data = new Uint8Array(await new Response(stream).arrayBuffer());
+        } else {
+            throw new Error(`${this.name}: ${path} uses compression method ${entry.method} - only stored and deflated entries are supported`);
+        }
+
+        if (data.length !== entry.size || ZipArchive.ESPLoader.crc32(data) !== entry.crc32) {
+            throw new Error(`${this.name}: ${path} fails its CRC-32 check - the archive is corrupted`);
+        }
+        return data;
+    }
+
+    // Paths whose last component is fileName, shallowest first
+    find(fileName) {
+        return [...this.entries.keys()]
+            .filter(path => path.split('/').pop() === fileName)
+            .sort((a, b) => a.split('/').length - b.split('/').length);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ZipArchive };
+}